@@ -0,0 +1,752 @@
+/*
+   Animated Score - Notación de texto ABC
+   Joaquín Ruaimi
+   https://github.com/joaquinrmi/animated-score
+*/
+
+/*
+   Esta clase interpreta un subconjunto de la notación ABC y lo convierte en un arreglo de MusicAction que puede cargarse con "AnimatedScore.setMusicActions()".
+   Requiere que "animated_score.js" se haya cargado antes.
+
+   Se admiten:
+      # Los campos de cabecera T: (título), C: (compositor), M: (compás), L: (duración unidad), Q: (tempo) y K: (armadura y clave), también entre corchetes dentro de la melodía.
+      # Las notas de la A a la G, con las marcas de octava ' y , y las alteraciones ^, ^^, _, __ y =.
+      # Los multiplicadores de duración (2, 3/2, /2, /, //, etc.) y los ritmos con puntillo > y <.
+      # Los silencios z y x, los acordes entre corchetes y las ligaduras de prolongación con -.
+      # Las barras de compás, que reinician las alteraciones accidentales, las repeticiones |:, :| y :: y las casillas de repetición |1, :|2, [1, etc.
+*/
+class AbcParser
+{
+   constructor()
+   {
+      /*
+         Posición de cada nota dentro de la octava, sin alteraciones.
+      */
+      this.letterValues = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+      /*
+         Cantidad de alteraciones de la armadura de cada tónica en modo mayor.
+      */
+      this.tonicFifths = { C: 0, G: 1, D: 2, A: 3, E: 4, B: 5, F: -1 };
+
+      /*
+         Diferencia de alteraciones de cada modo respecto del modo mayor.
+      */
+      this.modeFifths = { maj: 0, ion: 0, m: -3, min: -3, aeo: -3, dor: -2, phr: -4, lyd: 1, mix: -1, loc: -5 };
+
+      /*
+         Orden en el que se agregan los sostenidos a la armadura. Los bemoles se agregan en el orden inverso.
+      */
+      this.sharpOrder = ["F", "C", "G", "D", "A", "E", "B"];
+
+      this.clefs = {
+         treble: "g",
+         "treble-8": "g8vb",
+         bass: "f",
+         alto: "alto",
+         tenor: "tenor"
+      };
+   }
+
+   /*
+      Interpreta el texto "text".
+      Devuelve un objeto con los campos:
+         > actions: el arreglo de MusicAction.
+         > metadata: el título ("title") y el compositor ("composer"), si se indicaron.
+         > errors: los errores de sintaxis. Cada uno es un objeto con un mensaje ("message"), la línea ("line") y la columna ("column"), ambas contadas desde 1.
+      Los fragmentos con errores se descartan y el resto del texto se interpreta igual.
+   */
+   parse(text)
+   {
+      if(typeof text != "string")
+      {
+         throw "text debe ser un string";
+      }
+
+      this.actions = [];
+      this.metadata = {};
+      this.errors = [];
+
+      /*
+         Duración unidad como fracción de la redonda, o null si todavía no se estableció.
+      */
+      this.unitLength = null;
+      this.meter = 1;
+      this.keyAlterations = {};
+      this.measureAlterations = {};
+
+      /*
+         Última acción con duración y factor pendiente de un ritmo con puntillo.
+      */
+      this.lastTimed = null;
+      this.brokenFactor = 1;
+
+      /*
+         Indica si hay una casilla de repetición abierta, que se cierra en la siguiente barra doble o final.
+      */
+      this.voltaOpen = false;
+
+      const lines = text.split(/\r?\n/);
+      for(var i = 0; i < lines.length; ++i)
+      {
+         this.line = i + 1;
+
+         const line = lines[i];
+         const field = line.match(/^([A-Za-z]):(.*)$/);
+
+         if(field != null)
+         {
+            this.readField(field[1], field[2], 3);
+         }
+         else
+         {
+            this.readMusic(line);
+         }
+      }
+
+      return {
+         actions: this.actions,
+         metadata: this.metadata,
+         errors: this.errors
+      };
+   }
+
+   error(message, column)
+   {
+      this.errors.push({
+         message: message,
+         line: this.line,
+         column: column
+      });
+   }
+
+   /*
+      Interpreta un campo de cabecera. "column" es la columna donde comienza su valor.
+   */
+   readField(name, value, column)
+   {
+      const comment = value.indexOf("%");
+      value = (comment != -1 ? value.substring(0, comment) : value).trim();
+
+      switch(name)
+      {
+      case "T":
+         if(this.metadata.title == undefined) this.metadata.title = value;
+         break;
+
+      case "C":
+         this.metadata.composer = value;
+         break;
+
+      case "M":
+         this.readMeter(value, column);
+         break;
+
+      case "L":
+      {
+         const length = this.parseFraction(value);
+         if(length == null)
+         {
+            this.error(`la duración unidad "${value}" no es válida`, column);
+         }
+         else
+         {
+            this.unitLength = length;
+         }
+         break;
+      }
+
+      case "Q":
+         this.readTempo(value, column);
+         break;
+
+      case "K":
+         this.readKey(value, column);
+         break;
+
+      default:
+         /*
+            Los demás campos (número de referencia, origen, letras, etc.) no tienen representación.
+         */
+         break;
+      }
+   }
+
+   readMeter(value, column)
+   {
+      if(value == "none" || value == "")
+      {
+         return;
+      }
+
+      var beats;
+      var beatValue;
+
+      if(value == "C")
+      {
+         beats = 4;
+         beatValue = 4;
+      }
+      else if(value == "C|")
+      {
+         beats = 2;
+         beatValue = 2;
+      }
+      else
+      {
+         const match = value.match(/^(\d+)\/(\d+)$/);
+         if(match == null || [1, 2, 4, 8, 16, 32, 64].indexOf(Number(match[2])) == -1 || Number(match[1]) == 0)
+         {
+            this.error(`el compás "${value}" no es válido`, column);
+            return;
+         }
+
+         beats = Number(match[1]);
+         beatValue = Number(match[2]);
+      }
+
+      this.meter = beats / beatValue;
+      this.actions.push(new TimeSignature(beats, beatValue));
+   }
+
+   /*
+      El tempo puede indicarse como "1/4=120", con un texto opcional entre comillas, o solo como "120" para contar pulsos de la duración unidad.
+   */
+   readTempo(value, column)
+   {
+      const match = value.replace(/"[^"]*"/g, "").trim().match(/^(?:(\d+\/\d+)\s*=\s*)?(\d+(?:\.\d+)?)$/);
+
+      if(match == null)
+      {
+         this.error(`el tempo "${value}" no es válido`, column);
+         return;
+      }
+
+      const beat = match[1] != undefined ? this.parseFraction(match[1]) : this.getUnitLength();
+      if(beat == null)
+      {
+         this.error(`el tempo "${value}" no es válido`, column);
+         return;
+      }
+
+      /*
+         Tempo se mide en negras por minuto.
+      */
+      this.actions.push(new Tempo(Number(match[2]) * beat * 4));
+   }
+
+   /*
+      La armadura se indica con la tónica, sus alteraciones y el modo, por ejemplo "G", "Bb", "F#m" o "D dor", seguida opcionalmente de la clave ("clef=bass").
+   */
+   readKey(value, column)
+   {
+      const clef = value.match(/clef=(\S+)/);
+      value = value.replace(/clef=\S+/, "").trim();
+
+      if(clef != null)
+      {
+         if(this.clefs[clef[1]] == undefined)
+         {
+            this.error(`la clave "${clef[1]}" no está soportada`, column);
+         }
+         else
+         {
+            this.actions.push(new Clef(this.clefs[clef[1]]));
+         }
+      }
+
+      var fifths = 0;
+      var mode = "major";
+
+      if(value != "" && value != "none")
+      {
+         const match = value.match(/^([A-G])([#b]?)\s*([A-Za-z]*)$/);
+         const modeName = match != null ? match[3].toLowerCase().substring(0, 3) : "";
+
+         if(match == null || (modeName != "" && this.modeFifths[modeName] == undefined))
+         {
+            this.error(`la armadura "${value}" no es válida`, column);
+            return;
+         }
+
+         fifths = this.tonicFifths[match[1]] + (match[2] == "#" ? 7 : 0) - (match[2] == "b" ? 7 : 0) + (modeName != "" ? this.modeFifths[modeName] : 0);
+         mode = modeName == "m" || modeName == "min" || modeName == "aeo" ? "minor" : "major";
+
+         if(fifths < -7 || fifths > 7)
+         {
+            this.error(`la armadura "${value}" tiene más de siete alteraciones`, column);
+            return;
+         }
+      }
+
+      this.keyAlterations = {};
+      for(var i = 0; i < Math.abs(fifths); ++i)
+      {
+         if(fifths > 0)
+         {
+            this.keyAlterations[this.sharpOrder[i]] = 1;
+         }
+         else
+         {
+            this.keyAlterations[this.sharpOrder[6 - i]] = -1;
+         }
+      }
+
+      this.measureAlterations = {};
+      this.actions.push(new KeySignature(fifths, mode));
+   }
+
+   /*
+      Interpreta una línea de música.
+   */
+   readMusic(line)
+   {
+      var pos = 0;
+
+      while(pos < line.length)
+      {
+         const c = line[pos];
+         const column = pos + 1;
+
+         if(c == "%")
+         {
+            break;
+         }
+
+         if(c == " " || c == "\t" || c == "`" || c == "\\" || c == "(" || c == ")")
+         {
+            pos += 1;
+            continue;
+         }
+
+         if(c == "|" || c == ":" || (c == "[" && /^\[[|1-9]/.test(line.substring(pos))))
+         {
+            pos = this.readBarline(line, pos);
+            continue;
+         }
+
+         if(c == "\"" || c == "!" || c == "+")
+         {
+            /*
+               Los cifrados, textos y adornos se descartan.
+            */
+            const end = line.indexOf(c, pos + 1);
+            if(end == -1)
+            {
+               this.error(`falta el ${c} de cierre`, column);
+               break;
+            }
+
+            pos = end + 1;
+            continue;
+         }
+
+         if(c == "{")
+         {
+            const end = line.indexOf("}", pos);
+            this.error("las notas de adorno no están soportadas", column);
+            pos = end == -1 ? line.length : end + 1;
+            continue;
+         }
+
+         if(c == "[" && /^\[[A-Za-z]:/.test(line.substring(pos)))
+         {
+            const end = line.indexOf("]", pos);
+            if(end == -1)
+            {
+               this.error("falta el ] de cierre del campo", column);
+               break;
+            }
+
+            this.readField(line[pos + 1], line.substring(pos + 3, end), column + 3);
+            pos = end + 1;
+            continue;
+         }
+
+         if(c == ">" || c == "<")
+         {
+            pos = this.readBrokenRhythm(line, pos);
+            continue;
+         }
+
+         if(/[A-Ga-gzx\[\^_=]/.test(c))
+         {
+            pos = this.readElement(line, pos);
+            continue;
+         }
+
+         if(/[1-9]/.test(c) && pos > 0 && line[pos - 1] == "(")
+         {
+            this.error("los grupos irregulares no están soportados", column - 1);
+            pos += 1;
+            continue;
+         }
+
+         this.error(`carácter inesperado "${c}"`, column);
+         pos += 1;
+      }
+   }
+
+   /*
+      Interpreta una barra de compás que comienza en "pos", con sus signos de repetición y su casilla de repetición.
+      Devuelve la posición siguiente a la barra.
+   */
+   readBarline(line, pos)
+   {
+      const column = pos + 1;
+      const bar = line.substring(pos).match(/^(:*)(\[?\|*\]?)(:*)/);
+      pos += bar[0].length;
+
+      this.measureAlterations = {};
+
+      /*
+         Los dos puntos a la izquierda de la barra cierran una repetición y los de la derecha la abren. "::" hace ambas cosas.
+      */
+      var repeatEnd = bar[1].length > 0;
+      var repeatStart = bar[3].length > 0;
+
+      if(bar[2] == "" && bar[1].length >= 2)
+      {
+         repeatStart = true;
+      }
+
+      if(repeatEnd)
+      {
+         this.actions.push(new RepeatEnd());
+         this.voltaOpen = false;
+      }
+      else if(this.voltaOpen && (bar[2] == "||" || bar[2] == "|]" || bar[2] == "[|"))
+      {
+         this.actions.push(new Volta());
+         this.voltaOpen = false;
+      }
+
+      if(repeatStart)
+      {
+         this.actions.push(new RepeatStart());
+         this.voltaOpen = false;
+      }
+
+      const ending = line.substring(pos).match(/^\[?([1-9][0-9]*(?:[,-][1-9][0-9]*)*)/);
+      if(ending != null)
+      {
+         const numbers = [];
+         const parts = ending[1].split(",");
+
+         for(var i = 0; i < parts.length; ++i)
+         {
+            const range = parts[i].split("-").map(Number);
+            const last = range.length > 1 ? range[1] : range[0];
+
+            if(range.length > 2 || last < range[0])
+            {
+               this.error(`la casilla de repetición "${ending[1]}" no es válida`, column);
+               return pos + ending[0].length;
+            }
+
+            for(var number = range[0]; number <= last; ++number)
+            {
+               numbers.push(number);
+            }
+         }
+
+         this.actions.push(new Volta(numbers));
+         this.voltaOpen = true;
+         pos += ending[0].length;
+      }
+
+      return pos;
+   }
+
+   /*
+      Interpreta una nota, un silencio o un acorde que comienza en "pos", junto con su duración y su ligadura.
+      Devuelve la posición siguiente al elemento.
+   */
+   readElement(line, pos)
+   {
+      const column = pos + 1;
+      var pitches = [];
+      var rest = false;
+      var chordTied = false;
+
+      if(line[pos] == "z" || line[pos] == "x")
+      {
+         rest = true;
+         pos += 1;
+      }
+      else if(line[pos] == "[")
+      {
+         pos += 1;
+
+         while(pos < line.length && line[pos] != "]")
+         {
+            if(line[pos] == " ")
+            {
+               pos += 1;
+               continue;
+            }
+
+            const pitch = this.readPitch(line, pos);
+            if(pitch == null)
+            {
+               return this.skipElement(line, pos);
+            }
+
+            pitches.push(pitch.note);
+            pos = pitch.end;
+
+            /*
+               La duración de cada nota del acorde se ignora, pero no su ligadura.
+            */
+            pos = this.readLength(line, pos).end;
+
+            if(line[pos] == "-")
+            {
+               chordTied = true;
+               pos += 1;
+            }
+         }
+
+         if(pos >= line.length)
+         {
+            this.error("falta el ] de cierre del acorde", column);
+            return pos;
+         }
+
+         pos += 1;
+
+         if(pitches.length == 0)
+         {
+            this.error("el acorde está vacío", column);
+         }
+      }
+      else
+      {
+         const pitch = this.readPitch(line, pos);
+         if(pitch == null)
+         {
+            return this.skipElement(line, pos);
+         }
+
+         pitches.push(pitch.note);
+         pos = pitch.end;
+      }
+
+      const length = this.readLength(line, pos);
+      pos = length.end;
+
+      if(length.value == null)
+      {
+         this.error("la duración no es válida", column);
+         return pos;
+      }
+
+      var tied = chordTied;
+      if(line[pos] == "-")
+      {
+         tied = true;
+         pos += 1;
+      }
+
+      const duration = this.getUnitLength() * length.value * 64 * this.brokenFactor;
+      this.brokenFactor = 1;
+
+      if(duration != Math.round(duration) || duration <= 0)
+      {
+         this.error("la duración debe ser un múltiplo de la semifusa", column);
+         this.lastTimed = null;
+         return pos;
+      }
+
+      var action;
+      if(rest)
+      {
+         action = new Rest(duration);
+      }
+      else if(pitches.length == 1)
+      {
+         action = pitches[0];
+         action.duration = duration;
+         action.tied = tied;
+      }
+      else if(pitches.length > 1)
+      {
+         action = new Chord(pitches, duration, tied);
+      }
+      else
+      {
+         return pos;
+      }
+
+      this.actions.push(action);
+      this.lastTimed = { action: action, column: column };
+
+      return pos;
+   }
+
+   /*
+      Interpreta una altura con sus alteraciones y marcas de octava. Devuelve un objeto con la nota ("note") y la posición siguiente ("end"), o null si hay un error.
+   */
+   readPitch(line, pos)
+   {
+      const column = pos + 1;
+      const match = line.substring(pos).match(/^(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)/);
+
+      if(match == null)
+      {
+         this.error(`se esperaba una nota en lugar de "${line[pos]}"`, column);
+         return null;
+      }
+
+      const letter = match[2].toUpperCase();
+      var octave = match[2] == letter ? 3 : 4;
+      for(var i = 0; i < match[3].length; ++i)
+      {
+         octave += match[3][i] == "'" ? 1 : -1;
+      }
+
+      /*
+         Las alteraciones accidentales valen para las notas iguales hasta la siguiente barra de compás.
+      */
+      const key = letter + octave;
+      const explicit = { "^^": 2, "^": 1, "=": 0, "_": -1, "__": -2 };
+
+      if(match[1] != undefined)
+      {
+         this.measureAlterations[key] = explicit[match[1]];
+      }
+
+      var alteration = this.measureAlterations[key];
+      if(alteration == undefined)
+      {
+         alteration = this.keyAlterations[letter] || 0;
+      }
+
+      const midi = this.letterValues[letter] + alteration + (octave + 2) * 12;
+      if(midi < 24 || midi >= 108)
+      {
+         this.error(`la nota ${match[0]} está fuera del rango de octavas de 0 a 6`, column);
+         return null;
+      }
+
+      return {
+         note: new Note(midi % 12, Math.floor(midi / 12) - 2, 0, alteration < 0 ? "flat" : "sharp"),
+         end: pos + match[0].length
+      };
+   }
+
+   /*
+      Interpreta un multiplicador de duración, como "2", "3/2", "/2", "/" o "//".
+      Devuelve un objeto con el multiplicador ("value", o null si no es válido) y la posición siguiente ("end").
+   */
+   readLength(line, pos)
+   {
+      const match = line.substring(pos).match(/^(\d*)(\/*)(\d*)/);
+      const text = match[0];
+
+      var value = match[1] != "" ? Number(match[1]) : 1;
+
+      if(match[2].length > 1 && match[3] != "")
+      {
+         value = null;
+      }
+      else if(match[2].length > 0)
+      {
+         value /= match[3] != "" ? Number(match[3]) : Math.pow(2, match[2].length);
+      }
+
+      if(value === 0)
+      {
+         value = null;
+      }
+
+      return {
+         value: value,
+         end: pos + text.length
+      };
+   }
+
+   /*
+      Aplica un ritmo con puntillo entre el elemento anterior y el siguiente: "a>b" alarga "a" la mitad y acorta "b" a la mitad, y "a<b" hace lo contrario. Cada signo adicional duplica el efecto.
+   */
+   readBrokenRhythm(line, pos)
+   {
+      const column = pos + 1;
+      const c = line[pos];
+
+      var count = 0;
+      while(line[pos] == c)
+      {
+         count += 1;
+         pos += 1;
+      }
+
+      if(this.lastTimed == null)
+      {
+         this.error(`el signo ${c} debe estar entre dos notas`, column);
+         return pos;
+      }
+
+      const shorter = Math.pow(2, -count);
+      const longer = 2 - shorter;
+
+      const action = this.lastTimed.action;
+      const duration = action.duration * (c == ">" ? longer : shorter);
+
+      if(duration != Math.round(duration))
+      {
+         this.error("la duración debe ser un múltiplo de la semifusa", this.lastTimed.column);
+      }
+      else
+      {
+         action.duration = duration;
+      }
+
+      this.brokenFactor = c == ">" ? shorter : longer;
+
+      return pos;
+   }
+
+   /*
+      Descarta el resto de un elemento con errores, hasta el siguiente espacio o barra de compás.
+   */
+   skipElement(line, pos)
+   {
+      pos += 1;
+
+      while(pos < line.length && !/[\s|]/.test(line[pos]))
+      {
+         pos += 1;
+      }
+
+      return pos;
+   }
+
+   /*
+      Devuelve la duración unidad. Si no se indicó con L:, es una semicorchea para los compases menores a 3/4 y una corchea para los demás.
+   */
+   getUnitLength()
+   {
+      if(this.unitLength == null)
+      {
+         this.unitLength = this.meter < 0.75 ? 1 / 16 : 1 / 8;
+      }
+
+      return this.unitLength;
+   }
+
+   /*
+      Convierte un texto como "1/8" en un número, o devuelve null si no es válido.
+   */
+   parseFraction(text)
+   {
+      const match = text.trim().match(/^(\d+)\/(\d+)$/);
+
+      if(match == null || Number(match[1]) == 0 || Number(match[2]) == 0)
+      {
+         return null;
+      }
+
+      return Number(match[1]) / Number(match[2]);
+   }
+};
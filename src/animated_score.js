@@ -8,7 +8,17 @@
    Esta clase representa a una acción importante en la reproducción de una pieza musical.
    Puede ser de tipo:
       # Note
+      # Chord
+      # Rest
       # Tempo
+      # GradualTempo
+      # Clef
+      # Staff
+      # TimeSignature
+      # KeySignature
+      # RepeatStart
+      # RepeatEnd
+      # Volta
 */
 class MusicAction
 {
@@ -27,14 +37,59 @@ class Note extends MusicAction
       "note" es un número del 0 al 11 que identifica una de las 12 notas del sistema occidental.
       "octave" es la octava de la nota, la cual va desde 0 a 6.
       "duration" es la duración de la nota en cantidades enteras, cuya unidad es la duración de una semifusa.
+      "accidental" (opcional) indica cómo se escriben las teclas negras: "sharp" (sostenido) o "flat" (bemol). Si no se indica, se escriben con bemol en las armaduras con bemoles y con sostenido en las demás. No tiene efecto sobre las teclas blancas.
+      "tied" (opcional) indica si la nota se liga con la nota siguiente. La ligadura solo se dibuja si ambas notas tienen la misma altura.
    */
-   constructor(note, octave, duration)
+   constructor(note, octave, duration, accidental, tied)
    {
       super("note");
 
       this.note = note;
       this.octave = octave;
       this.duration = duration;
+      this.accidental = accidental == "flat" || accidental == "sharp" ? accidental : undefined;
+      this.tied = tied === true;
+   }
+};
+
+/*
+   Tipo de MusicAction que representa varias notas que suenan al mismo tiempo.
+*/
+class Chord extends MusicAction
+{
+   /*
+      "notes" es un arreglo no vacío de objetos Note con las alturas del acorde. La duración de cada uno de ellos se ignora.
+      "duration" es la duración del acorde en cantidades enteras, cuya unidad es la duración de una semifusa.
+      "tied" (opcional) indica si el acorde se liga con la nota o el acorde siguiente. Solo se ligan las alturas que se repiten.
+   */
+   constructor(notes, duration, tied)
+   {
+      super("chord");
+
+      if(!(notes instanceof Array) || notes.length == 0)
+      {
+         throw "notes debe ser un arreglo de notas no vacío";
+      }
+
+      this.notes = notes;
+      this.duration = duration;
+      this.tied = tied === true;
+   }
+};
+
+/*
+   Tipo de MusicAction que representa un silencio.
+*/
+class Rest extends MusicAction
+{
+   /*
+      "duration" es la duración del silencio en cantidades enteras, cuya unidad es la duración de una semifusa.
+   */
+   constructor(duration)
+   {
+      super("rest");
+
+      this.duration = duration;
    }
 };
 
@@ -55,725 +110,6578 @@ class Tempo extends MusicAction
 };
 
 /*
-   Dimensiones útiles de la partitura.
+   Tipo de MusicAction que cambia el tempo de forma gradual (accelerando o ritardando).
+   El tempo varía linealmente a lo largo de la duración indicada y luego se mantiene en el tempo final.
 */
-class ScoreDimensions
+class GradualTempo extends MusicAction
 {
-   constructor(height, padding)
+   /*
+      "from" y "to" son los tempos inicial y final, en pulsaciones de una negra por minuto.
+      "duration" es la duración del cambio en cantidades enteras, cuya unidad es la duración de una semifusa.
+   */
+   constructor(from, to, duration)
    {
-      this.height = height;
-      this.padding = padding;
+      super("gradualTempo");
+
+      this.from = typeof from == "number" && from > 0 ? from : 120;
+      this.to = typeof to == "number" && to > 0 ? to : 120;
+      this.duration = typeof duration == "number" && duration > 0 ? duration : 0;
    }
 };
 
 /*
-   Representa cada uno de los símbolos musicales.
+   Tipo de MusicAction que fija la clave hasta el próximo cambio de clave.
 */
-class NoteSymbol
+class Clef extends MusicAction
 {
    /*
-      "img" es el elemento <img> del DOM.
-      "corner" es la esquina superior izquierda de la nota.
-      "duration" es la duración en segundos de la nota.
+      "clef" es una de las siguientes claves:
+         > "g": clave de sol en segunda.
+         > "g8vb": clave de sol en segunda, una octava más grave de lo escrito.
+         > "f": clave de fa en cuarta.
+         > "alto": clave de do en tercera.
+         > "tenor": clave de do en cuarta.
+         > "auto": la clave se elige automáticamente para cada nota, entre la clave de sol y la clave de fa.
    */
-   constructor(img, corner, duration)
+   constructor(clef)
    {
-      this.img = img;
-      this.corner = corner;
-      this.duration = duration;
+      super("clef");
+
+      this.clef = typeof clef == "string" ? clef : "g";
+
+      if(["g", "g8vb", "f", "alto", "tenor", "auto"].indexOf(this.clef) == -1)
+      {
+         throw `la clave "${this.clef}" no existe`;
+      }
    }
 };
 
-class VisualNote
+/*
+   Tipo de MusicAction que elige el pentagrama en el que se escriben las acciones siguientes.
+   Solo tiene efecto si AnimatedScore se creó con un sistema de dos pentagramas.
+*/
+class Staff extends MusicAction
 {
-   constructor(symbol, tempo, verticalPos, scoreDimensions)
+   /*
+      "staff" es 0 para el pentagrama superior o 1 para el pentagrama inferior.
+   */
+   constructor(staff)
    {
-      this.img = symbol.img;
-      this.verticalPos = verticalPos;
-      this.x = 0;
-      this.y = scoreDimensions.padding + scoreDimensions.height - verticalPos * 3.5 - symbol.corner + 2.5;
-      this.duration = symbol.duration * (120 / tempo);
-   }
+      super("staff");
 
-   draw(context)
-   {
-      context.drawImage(this.img, this.x, this.y);
+      this.staff = staff == 1 ? 1 : 0;
    }
+};
 
-   changeSymbol(symbol, scoreDimensions)
+/*
+   Tipo de MusicAction que establece el compás de la pieza.
+   Si aparece en medio de un compás, el compás actual se cierra antes del cambio.
+*/
+class TimeSignature extends MusicAction
+{
+   /*
+      "beats" es la cantidad de pulsos del compás (el numerador).
+      "beatValue" es la figura que vale un pulso (el denominador): 1, 2, 4, 8, 16, 32 o 64.
+   */
+   constructor(beats, beatValue)
    {
-      this.img = symbol.img;
-      this.y = scoreDimensions.padding + scoreDimensions.height - this.verticalPos * 3.5 - symbol.corner + 2.5;
+      super("timeSignature");
+
+      this.beats = typeof beats == "number" && beats > 0 ? beats : 4;
+      this.beatValue = [1, 2, 4, 8, 16, 32, 64].indexOf(beatValue) != -1 ? beatValue : 4;
    }
-}
+};
 
 /*
-   Linea vertical de una nota.
+   Tipo de MusicAction que establece la armadura de clave.
 */
-class NoteLine
+class KeySignature extends MusicAction
 {
-   constructor(x, y, large)
+   /*
+      "fifths" es la cantidad de alteraciones de la armadura: un número positivo de 1 a 7 indica sostenidos y un número negativo de -1 a -7 indica bemoles. 0 es la armadura sin alteraciones.
+      "mode" (opcional) es "major" (por defecto) o "minor". No afecta al dibujo de la armadura.
+   */
+   constructor(fifths, mode)
    {
-      this.x = x;
-      this.y = y;
-      this.large = large;
-      this.color = "black";
+      super("keySignature");
+
+      this.fifths = typeof fifths == "number" ? Math.max(-7, Math.min(7, Math.round(fifths))) : 0;
+      this.mode = mode == "minor" ? "minor" : "major";
    }
+};
 
-   draw(context)
+/*
+   Tipo de MusicAction que marca el comienzo de una sección que se repite.
+*/
+class RepeatStart extends MusicAction
+{
+   constructor()
    {
-      context.strokeStyle = this.color;
-      context.beginPath();
-      context.moveTo(this.x, this.y);
-      context.lineTo(this.x, this.y + this.large);
-      context.lineWidth = 1;
-      context.stroke();
+      super("repeatStart");
    }
 };
 
 /*
-   Línea horizontal que forma parte de una sección de corcheas.
+   Tipo de MusicAction que marca el final de una sección que se repite.
+   Al llegar a ella, la pieza vuelve al último RepeatStart, o al comienzo si no hay ninguno. Las repeticiones se desenrollan al cargar la pieza, por lo que la sección se dibuja tantas veces como se toca.
 */
-class QuaverSection
+class RepeatEnd extends MusicAction
 {
-   constructor(x, y, toX, toY)
+   /*
+      "times" (opcional) es la cantidad de veces que se toca la sección, contando la primera. Por defecto es 2.
+   */
+   constructor(times)
    {
-      this.x = x;
-      this.y = y;
-      this.toX = toX;
-      this.toY = toY;
-      this.color = "black";
+      super("repeatEnd");
+
+      this.times = Number.isInteger(times) && times >= 2 ? times : 2;
    }
+};
 
-   draw(context)
+/*
+   Tipo de MusicAction que comienza una casilla de repetición (volta): las acciones siguientes solo se tocan en las pasadas indicadas.
+   La casilla termina en el siguiente RepeatStart, RepeatEnd o Volta. Una Volta sin números solo cierra la casilla abierta.
+*/
+class Volta extends MusicAction
+{
+   /*
+      "numbers" es el número de pasada, o un arreglo de números de pasada, en los que se toca la casilla. Por ejemplo, 1 para la primera casilla y 2 para la segunda.
+   */
+   constructor(numbers)
    {
-      context.strokeStyle = this.color;
-      context.beginPath();
-      context.moveTo(this.x, this.y);
-      context.lineTo(this.toX, this.toY);
-      context.lineWidth = 3;
-      context.stroke();
+      super("volta");
+
+      numbers = numbers instanceof Array ? numbers : (numbers != undefined ? [numbers] : []);
+      this.numbers = numbers.filter(number => Number.isInteger(number) && number > 0);
    }
 };
 
-class AnimatedScore
+/*
+   Formato JSON para guardar y cargar piezas musicales.
+   Un documento tiene la siguiente forma:
+      {
+         "format": "animated-score",
+         "version": 1,
+         "metadata": { "title": "...", "composer": "..." },
+         "actions": [ { "type": "tempo", "tempo": 60 }, { "type": "note", "note": 0, "octave": 3, "duration": 16 }, ... ]
+      }
+   Cada acción tiene el campo "type" y los mismos campos que el constructor de su MusicAction. Los campos opcionales con su valor por defecto se omiten.
+*/
+class ScoreFormat
 {
    /*
-      "args" debe ser un objeto con los siguientes campos:
-         > containerId: (string) id del elemento que contendrá el <canvas> de la partitura.
-         > framerate: (number) (opcional) cantidad de cuadros por segundo. Por defecto es 60.
-         > playingVelocity: (number) (opcional) velocidad en pixeles/segundo de la animación, por defecto se establece en 200 pixeles/segundo. No afecta a la duración de las notas.
+      Versión del formato que se escribe. Se pueden leer los documentos de esta versión o de versiones anteriores.
    */
-   constructor(args)
+   static get version()
    {
-      if(typeof args != "object")
+      return 1;
+   }
+
+   /*
+      Crea el documento de una pieza a partir de un arreglo de MusicAction y un objeto opcional con metadatos (título, autor, etc.).
+      El resultado puede convertirse en texto con "JSON.stringify()".
+   */
+   static toJSON(actions, metadata)
+   {
+      if(!(actions instanceof Array))
       {
-         throw "args debe ser un objeto";
+         throw "actions debe ser un arreglo";
       }
 
-      if(typeof args.containerId != "string")
+      return {
+         format: "animated-score",
+         version: ScoreFormat.version,
+         metadata: typeof metadata == "object" && metadata != null ? Object.assign({}, metadata) : {},
+         actions: actions.map((action, index) => ScoreFormat.actionToJSON(action, index))
+      };
+   }
+
+   /*
+      Lee un documento, que puede ser un texto o un objeto ya interpretado.
+      Devuelve un objeto con los metadatos ("metadata") y el arreglo de MusicAction ("actions").
+      Si el documento no es válido, lanza un error que indica la acción que lo provocó.
+   */
+   static fromJSON(json)
+   {
+      var doc = json;
+
+      if(typeof json == "string")
       {
-         throw "args.containerId debe ser un string";
+         try
+         {
+            doc = JSON.parse(json);
+         }
+         catch(e)
+         {
+            throw `el documento no es un JSON válido: ${e.message}`;
+         }
       }
 
-      if(typeof args.playingVelocity == "number")
+      if(typeof doc != "object" || doc == null)
       {
-         this.velocity = args.playingVelocity;
+         throw "el documento debe ser un objeto";
       }
-      else
+
+      if(doc.format != "animated-score")
       {
-         this.velocity = 200;
+         throw "el documento no es una pieza de Animated Score";
       }
 
-      if(typeof args.framerate == "number" && args.framerate > 0)
+      if(typeof doc.version != "number" || doc.version < 1 || doc.version > ScoreFormat.version)
       {
-         this.framerate = args.framerate;
+         throw `la versión ${doc.version} del formato no está soportada`;
       }
-      else
+
+      if(doc.metadata != undefined && (typeof doc.metadata != "object" || doc.metadata == null || doc.metadata instanceof Array))
       {
-         this.framerate = 60;
+         throw "metadata debe ser un objeto";
       }
 
-      const imgId = {
-         note1: ["note-1"],
-         note2: ["note-2", "note-2t"],
-         note4: ["note-4", "note-4t"],
-         note8: ["note-8", "note-8t"],
-         note16: ["note-16", "note-16t"],
-         note32: ["note-32", "note-32t"],
-         note64: ["note-64", "note-64t"],
-         quaverBase: ["note-base"],
-         f_clavier: ["f-clavier"],
-         g_clavier: ["g-clavier"]
-      };
+      if(!(doc.actions instanceof Array))
+      {
+         throw "actions debe ser un arreglo";
+      }
 
-      const imgNames = [
-         "note1", "note2", "note4", "note8", "note16", "note32", "note64", "quaverBase",
-         "f_clavier", "g_clavier"
-      ];
+      return {
+         metadata: Object.assign({}, doc.metadata),
+         actions: doc.actions.map((action, index) => ScoreFormat.actionFromJSON(action, index))
+      };
+   }
 
-      /*
-         Cargar las imágenes desde las etiquetas definidas en el documento.
-         Si una imagen con el id requerido no existe, se mostrará un error por consola, pero la ejecución no se detendrá.
-      */
-      this.imgs = {};
-      for(var i in imgNames)
+   /*
+      Convierte una MusicAction en un objeto del formato.
+   */
+   static actionToJSON(action, index)
+   {
+      if(!(action instanceof MusicAction))
       {
-         const name = imgNames[i];
+         throw `acción ${index}: no es una MusicAction`;
+      }
 
-         this.imgs[name] = [];
+      switch(action.type)
+      {
+      case "note":
+         return ScoreFormat.noteToJSON(action, true);
 
-         for(var j in imgId[name])
-         {
-            const id = imgId[name][j];
+      case "chord":
+      {
+         const chord = {
+            type: "chord",
+            notes: action.notes.map(note => ScoreFormat.noteToJSON(note, false)),
+            duration: action.duration
+         };
 
-            var res = document.getElementById(id);
-            if(res == null)
-            {
-               console.error("No se ha encontrado el recurso \"" + id + "\"");
-               continue;
-            }
+         if(action.tied) chord.tied = true;
 
-            this.imgs[name].push(res);
-         }
+         return chord;
       }
 
-      this.scoreContainer = document.getElementById(args.containerId);
-      if(this.scoreContainer == null)
-      {
-         throw "no se encontró ningún elemento con id " + args.containerId;
-      }
+      case "rest":
+         return { type: "rest", duration: action.duration };
 
-      this.canvasPadding = 20;
-      this.scoreHeight = 29;
+      case "tempo":
+         return { type: "tempo", tempo: action.tempo };
 
-      this.scoreDimensions = new ScoreDimensions(this.scoreHeight, this.canvasPadding);
+      case "gradualTempo":
+         return { type: "gradualTempo", from: action.from, to: action.to, duration: action.duration };
 
-      /*
-         Creación del canvas.
-         Su ancho será igual al ancho del contenedor.
-      */
-      this.canvas = document.createElement("canvas");
+      case "clef":
+         return { type: "clef", clef: action.clef };
 
-      const containerDimensions = this.scoreContainer.getBoundingClientRect();
-      this.canvas.width = containerDimensions.width;
-      this.canvas.height = this.scoreHeight + 2 * this.canvasPadding;
-      this.canvas.style.backgroundColor = "white";
+      case "staff":
+         return { type: "staff", staff: action.staff };
 
-      this.scoreContainer.appendChild(this.canvas);
+      case "timeSignature":
+         return { type: "timeSignature", beats: action.beats, beatValue: action.beatValue };
 
-      this.context = this.canvas.getContext("2d");
+      case "keySignature":
+      {
+         const key = { type: "keySignature", fifths: action.fifths };
 
-      /*
-         Duración en segundos de las notas a 120 pulsaciones de negra por minuto.
-         El orden va desde la redonda hasta la semifusa.
-         Por supuesto, estos valores son fácilmente calculables, pero creo más conveniente tenerlos a disposición sin recurrir a cálculos que puedan entorpezer el código.
-      */
-      this.noteDuration = [
-         2, 1, 0.5, 0.25, 0.125, 0.0625, 0.03125
-      ];
+         if(action.mode == "minor") key.mode = "minor";
 
-      /*
-         Duración de cada nota en términos de una semifusa.
-         El orden va desde la redonda hasta la semifusa.
-      */
-      this.noteFraqDuration = [
-         64, 32, 16, 8, 4, 2, 1
-      ];
+         return key;
+      }
 
-      /*
-         Posición vertical en el pentagrama de cada una de las 12 notas.
-         Las posiciones son relativas y dependen de la clave usada.
-      */
-      this.noteVerticalPos = [
-         0, 0, 1, 1, 2, 3, 3, 4, 4, 5, 5, 6
-      ];
+      case "repeatStart":
+         return { type: "repeatStart" };
 
-      this.noteSymbols = [
-         [
-            new NoteSymbol(this.imgs["note1"][0], 6, this.noteDuration[0]),
-            new NoteSymbol(this.imgs["note1"][0], 6, this.noteDuration[0]),
-         ],
-         [
-            new NoteSymbol(this.imgs["note2"][0], 26, this.noteDuration[1]),
-            new NoteSymbol(this.imgs["note2"][1], 6, this.noteDuration[1]),
-         ],
-         [
-            new NoteSymbol(this.imgs["note4"][0], 26, this.noteDuration[2]),
-            new NoteSymbol(this.imgs["note4"][1], 6, this.noteDuration[2]),
-         ],
-         [
-            new NoteSymbol(this.imgs["note8"][0], 26, this.noteDuration[3]),
-            new NoteSymbol(this.imgs["note8"][1], 6, this.noteDuration[3]),
-         ],
-         [
-            new NoteSymbol(this.imgs["note16"][0], 26, this.noteDuration[4]),
-            new NoteSymbol(this.imgs["note16"][1], 6, this.noteDuration[4]),
-         ],
-         [
-            new NoteSymbol(this.imgs["note32"][0], 26, this.noteDuration[5]),
-            new NoteSymbol(this.imgs["note32"][5], 6, this.noteDuration[5]),
-         ],
-         [
-            new NoteSymbol(this.imgs["note64"][0], 26, this.noteDuration[6]),
-            new NoteSymbol(this.imgs["note64"][1], 6, this.noteDuration[6]),
-         ],
-         [
-            new NoteSymbol(this.imgs.quaverBase[0], 6, 0),
-            new NoteSymbol(this.imgs.quaverBase[0], 6, 0)
-         ]
-      ];
+      case "repeatEnd":
+         return action.times != 2 ? { type: "repeatEnd", times: action.times } : { type: "repeatEnd" };
 
-      /*
-         Establece el tiempo en milisegundos en el que se debe reproducir una nota.
-         Este tiempo se utiliza para ubicar la nota horizontalmente en el pentagrama.
-      */
-      this.noteTime = [];
+      case "volta":
+         return { type: "volta", numbers: action.numbers.slice() };
+      }
 
-      this.visualNotes = [];
+      throw `acción ${index}: el tipo "${action.type}" no existe`;
+   }
 
-      this.quaverSections = [];
-      this.noteLines = [];
+   /*
+      Convierte una nota en un objeto del formato. Las notas de un acorde no guardan su duración ni su ligadura.
+   */
+   static noteToJSON(note, standalone)
+   {
+      const data = standalone ? { type: "note" } : {};
 
-      this.firstLine = 0;
-      this.lastLine = 0;
+      data.note = note.note;
+      data.octave = note.octave;
 
-      this.currentQuavSect = [];
-      this.lastSect = 0;
+      if(standalone) data.duration = note.duration;
+      if(note.accidental != undefined) data.accidental = note.accidental;
+      if(standalone && note.tied) data.tied = true;
 
-      this.claviers = [];
-      this.lastClavier = 0;
+      return data;
+   }
 
-      this.playerLinePos = this.canvas.width / 2;
-      this.playerLineColor = "blue";
+   /*
+      Valida un objeto del formato y crea la MusicAction correspondiente.
+      "index" es la posición de la acción en el documento y se incluye en los mensajes de error.
+   */
+   static actionFromJSON(data, index)
+   {
+      const fail = message => {
+         throw `acción ${index}: ${message}`;
+      };
 
-      this.loopID = 0;
-      this.status = "stopped";
+      if(typeof data != "object" || data == null)
+      {
+         fail("debe ser un objeto");
+      }
 
-      /*
-         Desplazamiento horizontal ocasionado por el paso del tiempo.
-      */
+      const check = (field, valid, description, optional) => {
+         if(optional && data[field] === undefined)
+         {
+            return;
+         }
+
+         if(!valid(data[field]))
+         {
+            fail(`"${field}" debe ser ${description}`);
+         }
+      };
+
+      const isDuration = value => Number.isInteger(value) && value > 0;
+      const isTempo = value => typeof value == "number" && value > 0;
+
+      switch(data.type)
+      {
+      case "note":
+         ScoreFormat.checkPitch(data, fail);
+         check("duration", isDuration, "un número entero positivo");
+         check("tied", value => typeof value == "boolean", "un booleano", true);
+
+         return new Note(data.note, data.octave, data.duration, data.accidental, data.tied);
+
+      case "chord":
+      {
+         check("notes", value => value instanceof Array && value.length > 0, "un arreglo de notas no vacío");
+         check("duration", isDuration, "un número entero positivo");
+         check("tied", value => typeof value == "boolean", "un booleano", true);
+
+         const notes = data.notes.map((note, i) => {
+            if(typeof note != "object" || note == null)
+            {
+               fail(`la nota ${i} del acorde debe ser un objeto`);
+            }
+
+            ScoreFormat.checkPitch(note, message => fail(`nota ${i} del acorde: ${message}`));
+
+            return new Note(note.note, note.octave, data.duration, note.accidental);
+         });
+
+         return new Chord(notes, data.duration, data.tied);
+      }
+
+      case "rest":
+         check("duration", isDuration, "un número entero positivo");
+
+         return new Rest(data.duration);
+
+      case "tempo":
+         check("tempo", isTempo, "un número positivo");
+
+         return new Tempo(data.tempo);
+
+      case "gradualTempo":
+         check("from", isTempo, "un número positivo");
+         check("to", isTempo, "un número positivo");
+         check("duration", isDuration, "un número entero positivo");
+
+         return new GradualTempo(data.from, data.to, data.duration);
+
+      case "clef":
+         check("clef", value => ["g", "g8vb", "f", "alto", "tenor", "auto"].indexOf(value) != -1, `"g", "g8vb", "f", "alto", "tenor" o "auto"`);
+
+         return new Clef(data.clef);
+
+      case "staff":
+         check("staff", value => value === 0 || value === 1, "0 o 1");
+
+         return new Staff(data.staff);
+
+      case "timeSignature":
+         check("beats", isDuration, "un número entero positivo");
+         check("beatValue", value => [1, 2, 4, 8, 16, 32, 64].indexOf(value) != -1, "1, 2, 4, 8, 16, 32 o 64");
+
+         return new TimeSignature(data.beats, data.beatValue);
+
+      case "keySignature":
+         check("fifths", value => Number.isInteger(value) && value >= -7 && value <= 7, "un número entero de -7 a 7");
+         check("mode", value => value == "major" || value == "minor", `"major" o "minor"`, true);
+
+         return new KeySignature(data.fifths, data.mode);
+
+      case "repeatStart":
+         return new RepeatStart();
+
+      case "repeatEnd":
+         check("times", value => Number.isInteger(value) && value >= 2, "un número entero mayor que 1", true);
+
+         return new RepeatEnd(data.times);
+
+      case "volta":
+         check("numbers", value => value instanceof Array && value.every(number => Number.isInteger(number) && number > 0), "un arreglo de números enteros positivos");
+
+         return new Volta(data.numbers);
+      }
+
+      fail(`el tipo "${data.type}" no existe`);
+   }
+
+   /*
+      Valida los campos de altura de una nota. "fail" recibe el mensaje de error y lo lanza.
+   */
+   static checkPitch(data, fail)
+   {
+      if(!Number.isInteger(data.note) || data.note < 0 || data.note > 11)
+      {
+         fail(`"note" debe ser un número entero del 0 al 11`);
+      }
+
+      if(!Number.isInteger(data.octave) || data.octave < 0 || data.octave > 6)
+      {
+         fail(`"octave" debe ser un número entero del 0 al 6`);
+      }
+
+      if(data.accidental !== undefined && data.accidental != "sharp" && data.accidental != "flat")
+      {
+         fail(`"accidental" debe ser "sharp" o "flat"`);
+      }
+   }
+};
+
+/*
+   Dimensiones útiles de la partitura.
+*/
+class ScoreDimensions
+{
+   constructor(height, padding)
+   {
+      this.height = height;
+      this.padding = padding;
+   }
+
+   /*
+      Devuelve la coordenada vertical del centro de una posición del pentagrama.
+      La posición 0 corresponde a la primera línea (la inferior) y cada unidad es medio espacio.
+   */
+   getPosY(verticalPos)
+   {
+      return this.padding + this.height - 0.5 - verticalPos * 3.5;
+   }
+};
+
+/*
+   Figuras vectoriales de la partitura, dibujadas con Path2D para no depender de imágenes.
+   Cada figura se define en pixeles alrededor de su punto de referencia y se dibuja con el color de relleno y de trazo actuales del contexto.
+*/
+class Glyphs
+{
+   /*
+      Dibuja la figura "name" con su punto de referencia en (x, y). Si "flip" es true, la figura se refleja verticalmente.
+   */
+   static draw(context, name, x, y, flip)
+   {
+      const glyph = Glyphs.get(name);
+
+      context.save();
+      context.translate(x, y);
+
+      if(flip)
+      {
+         context.scale(1, -1);
+      }
+
+      if(glyph.fill != null)
+      {
+         context.fill(glyph.fill, "evenodd");
+      }
+
+      if(glyph.stroke != null)
+      {
+         context.lineWidth = glyph.lineWidth;
+         context.stroke(glyph.stroke);
+      }
+
+      context.restore();
+   }
+
+   /*
+      Dibuja la cabeza de la figura "symbolId" (desde 0, redonda, hasta 6, semifusa) centrada en (x, y).
+   */
+   static drawHead(context, symbolId, x, y)
+   {
+      Glyphs.draw(context, symbolId == 0 ? "wholeHead" : (symbolId == 1 ? "halfHead" : "head"), x, y);
+   }
+
+   /*
+      Dibuja "count" corchetes desde la punta de la plica (x, y). "direction" es la dirección de la plica, "up" o "down".
+   */
+   static drawFlags(context, count, x, y, direction)
+   {
+      const sign = direction == "up" ? 1 : -1;
+
+      for(var i = 0; i < count; ++i)
+      {
+         Glyphs.draw(context, "flag", x, y + sign * i * 5, direction != "up");
+      }
+   }
+
+   /*
+      Indica si "img" es una imagen que ya puede dibujarse. Los canvas y los ImageBitmap siempre pueden dibujarse.
+   */
+   static isImageReady(img)
+   {
+      return img != null && (img.complete === undefined || (img.complete && img.naturalWidth > 0));
+   }
+
+   /*
+      Devuelve la figura "name", creando sus trazos la primera vez que se usa.
+   */
+   static get(name)
+   {
+      if(Glyphs.cache == undefined)
+      {
+         Glyphs.cache = {};
+      }
+
+      if(Glyphs.cache[name] == undefined)
+      {
+         Glyphs.cache[name] = Glyphs.create(name);
+      }
+
+      return Glyphs.cache[name];
+   }
+
+   static create(name)
+   {
+      const glyph = {
+         fill: new Path2D(),
+         stroke: null,
+         lineWidth: 1
+      };
+
+      const fill = glyph.fill;
+
+      switch(name)
+      {
+      /*
+         Las cabezas huecas se rellenan con la regla par-impar, por lo que la elipse interior queda vacía.
+      */
+      case "wholeHead":
+         fill.ellipse(0, 0, 5.5, 4, 0, 0, 2 * Math.PI);
+         fill.ellipse(0, 0, 3, 2, 1, 0, 2 * Math.PI);
+         break;
+
+      case "halfHead":
+         fill.ellipse(0, 0, 4.75, 3.25, -0.4, 0, 2 * Math.PI);
+         fill.ellipse(0, 0, 3.5, 1.5, -0.5, 0, 2 * Math.PI);
+         break;
+
+      case "head":
+         fill.ellipse(0, 0, 4.5, 3, -0.4, 0, 2 * Math.PI);
+         break;
+
+      /*
+         Corchete de una plica hacia arriba, con el origen en la punta de la plica.
+      */
+      case "flag":
+         fill.moveTo(0, 0);
+         fill.bezierCurveTo(1.5, 5, 7.5, 8, 4.5, 14);
+         fill.bezierCurveTo(6, 8.5, 1, 6.5, 0, 3.5);
+         fill.closePath();
+         break;
+
+      /*
+         Clave de sol, con el origen en la segunda línea del pentagrama, sobre la que se enrosca la espiral.
+      */
+      case "gClef":
+         fill.arc(-3.2, 18.9, 2.5, 0, 2 * Math.PI);
+
+         glyph.stroke = new Path2D();
+         glyph.stroke.moveTo(2.5, 1.75);
+         glyph.stroke.bezierCurveTo(-2.5, 2.1, -3.2, -4.2, 1.4, -4.9);
+         glyph.stroke.bezierCurveTo(7, -4.9, 8, 4.2, 1.4, 6.6);
+         glyph.stroke.bezierCurveTo(-6.3, 8.4, -9.1, 0, -4.2, -6.3);
+         glyph.stroke.bezierCurveTo(-0.7, -11.2, 6.3, -18.2, 4.9, -25.2);
+         glyph.stroke.bezierCurveTo(4.2, -30.1, -0.7, -29.4, -1.4, -23.8);
+         glyph.stroke.bezierCurveTo(-2.1, -17.5, 1.4, 0, 2.5, 15.4);
+         glyph.stroke.bezierCurveTo(3.2, 21, -1.4, 23.1, -3.9, 20.3);
+         glyph.lineWidth = 1.8;
+         break;
+
+      /*
+         Clave de fa, con el origen en la cuarta línea del pentagrama, que queda entre los dos puntos.
+      */
+      case "fClef":
+         fill.arc(0, 0, 2.6, 0, 2 * Math.PI);
+         fill.moveTo(15.3, -3.5);
+         fill.arc(14, -3.5, 1.3, 0, 2 * Math.PI);
+         fill.moveTo(15.3, 3.5);
+         fill.arc(14, 3.5, 1.3, 0, 2 * Math.PI);
+
+         glyph.stroke = new Path2D();
+         glyph.stroke.moveTo(-1.5, -0.5);
+         glyph.stroke.bezierCurveTo(-1, -6.5, 10, -7.5, 10.5, -0.5);
+         glyph.stroke.bezierCurveTo(11, 8, 4, 15, -4, 19.5);
+         glyph.lineWidth = 2.2;
+         break;
+
+      default:
+         throw `la figura "${name}" no existe`;
+      }
+
+      return glyph;
+   }
+};
+
+/*
+   Representa cada uno de los símbolos musicales.
+*/
+class NoteSymbol
+{
+   /*
+      "img" es la imagen de la figura, o null para dibujarla con trazos vectoriales.
+      "corner" es la distancia vertical entre el borde superior de la imagen y el centro de la cabeza, más 3 pixeles.
+      "duration" es la duración en segundos de la nota.
+      "direction" es la dirección de la plica, "up" o "down", o null si la figura no lleva plica propia.
+   */
+   constructor(img, corner, duration, direction)
+   {
+      this.img = img;
+      this.corner = corner;
+      this.duration = duration;
+      this.direction = direction != undefined ? direction : null;
+   }
+};
+
+class VisualNote
+{
+   /*
+      "symbolId" es el índice de la figura, desde 0 (redonda) hasta 6 (semifusa).
+      "dots" es la cantidad de puntillos de la figura, de 0 a 2.
+   */
+   constructor(symbol, tempo, verticalPos, scoreDimensions, symbolId, dots)
+   {
+      this.img = symbol.img;
+      this.direction = symbol.direction;
+      this.symbolId = symbolId;
+      this.color = "black";
+      this.verticalPos = verticalPos;
+
+      /*
+         Posiciones extremas de la nota. Solo difieren de "verticalPos" en los acordes.
+      */
+      this.highPos = verticalPos;
+      this.lowPos = verticalPos;
+
+      /*
+         Cabezas del acorde al que pertenece la nota, o null si es una nota simple.
+      */
+      this.chord = null;
+
+      this.x = 0;
+      this.y = scoreDimensions.getPosY(verticalPos) + 3 - symbol.corner;
+      this.headY = scoreDimensions.getPosY(verticalPos);
+      this.duration = symbol.duration * Dots.getFactor(dots) * (120 / tempo);
+
+      /*
+         Colores con los que se marca la cabeza de la nota en el modo de práctica y en el resultado de una evaluación, o null si no está marcada.
+         La cabeza se dibuja con "mark", que es la marca de práctica si existe o, si no, la de la evaluación.
+      */
+      this.practiceMark = null;
+      this.performanceMark = null;
+      this.mark = null;
+
+      /*
+         Estado de la nota respecto del instante actual: "active" mientras suena, "played" cuando ya terminó o null si todavía no llegó.
+      */
+      this.state = null;
+
+      /*
+         Plica y barras de la sección de corcheas a la que pertenece la nota, si las dibuja la sección.
+      */
+      this.stem = null;
+      this.beams = [];
+
+      /*
+         Alteración que se dibuja delante de la cabeza de la nota, o null si no lleva ninguna.
+      */
+      this.accidental = null;
+
+      /*
+         Líneas adicionales de la nota, o null si la nota está dentro del pentagrama.
+      */
+      this.ledgerLines = null;
+
+      /*
+         Puntillos que se dibujan detrás de la cabeza de la nota. Si la nota está sobre una línea, los puntillos se ubican en el espacio superior.
+      */
+      this.dots = null;
+      if(dots > 0)
+      {
+         this.dots = new Dots(dots, scoreDimensions.getPosY(verticalPos % 2 == 0 ? verticalPos + 1 : verticalPos));
+      }
+   }
+
+   draw(context)
+   {
+      if(this.ledgerLines != null)
+      {
+         if(this.chord != null)
+         {
+            this.ledgerLines.draw(context, this.x, Math.min.apply(null, this.chord.offsets), Math.max.apply(null, this.chord.offsets));
+         }
+         else
+         {
+            this.ledgerLines.draw(context, this.x, 0, 0);
+         }
+      }
+
+      if(this.chord != null)
+      {
+         this.chord.draw(context, this.x);
+         return;
+      }
+
+      if(this.accidental != null)
+      {
+         this.accidental.draw(context, this.x);
+      }
+
+      if(this.dots != null)
+      {
+         this.dots.draw(context, this.x);
+      }
+
+      /*
+         Mientras la imagen no termine de cargarse, o si no hay imagen, la nota se dibuja con las figuras vectoriales.
+      */
+      if(!Glyphs.isImageReady(this.img))
+      {
+         this.drawGlyph(context);
+         return;
+      }
+
+      context.drawImage(this.img, this.x, this.y);
+
+      if(this.mark != null)
+      {
+         context.fillStyle = this.mark;
+         Glyphs.drawHead(context, this.symbolId, this.x + 4.5, this.headY);
+      }
+   }
+
+   /*
+      Dibuja la cabeza, la plica y los corchetes de la nota. La plica mide tres espacios y medio desde el centro de la cabeza.
+   */
+   drawGlyph(context)
+   {
+      const color = this.mark != null ? this.mark : this.color;
+      context.fillStyle = color;
+      context.strokeStyle = color;
+
+      Glyphs.drawHead(context, this.symbolId, this.x + 4.5, this.headY);
+
+      if(this.direction == null)
+      {
+         return;
+      }
+
+      const stemX = this.direction == "up" ? this.x + 8.5 : this.x + 0.5;
+      const tipY = this.direction == "up" ? this.headY - 23 : this.headY + 23;
+
+      context.beginPath();
+      context.moveTo(stemX, this.headY);
+      context.lineTo(stemX, tipY);
+      context.lineWidth = 1;
+      context.stroke();
+
+      Glyphs.drawFlags(context, this.symbolId - 2, stemX, tipY, this.direction);
+   }
+
+   /*
+      Marca la nota con el color "color", o quita la marca si es null. "type" es el origen de la marca, "practice" o "performance".
+      Las dos marcas se guardan por separado, y la de práctica tiene prioridad. En los acordes se colorean todas las cabezas.
+   */
+   setMark(type, color)
+   {
+      if(type == "practice")
+      {
+         this.practiceMark = color;
+      }
+      else
+      {
+         this.performanceMark = color;
+      }
+
+      this.mark = this.practiceMark != null ? this.practiceMark : this.performanceMark;
+
+      if(this.chord != null)
+      {
+         this.chord.mark = this.mark;
+      }
+   }
+
+   /*
+      Cambia el color de la nota y de sus alteraciones, puntillos y líneas adicionales.
+   */
+   setColor(color)
+   {
+      this.color = color;
+
+      const parts = [this.accidental, this.dots, this.ledgerLines];
+      for(var i = 0; i < parts.length; ++i)
+      {
+         if(parts[i] != null)
+         {
+            parts[i].color = color;
+         }
+      }
+
+      if(this.chord != null)
+      {
+         this.chord.setColor(color);
+      }
+   }
+
+   /*
+      Devuelve las coordenadas verticales de las cabezas de la nota o del acorde.
+   */
+   getHeadYs()
+   {
+      return this.chord != null ? this.chord.y : [this.headY];
+   }
+
+   changeSymbol(symbol, scoreDimensions)
+   {
+      this.img = symbol.img;
+      this.direction = symbol.direction;
+      this.y = scoreDimensions.getPosY(this.verticalPos) + 3 - symbol.corner;
+   }
+}
+
+/*
+   Cabezas, plica y corchetes de un acorde.
+   Se dibujan con trazos del canvas, ya que las cabezas de las segundas se deben desplazar al otro lado de la plica.
+*/
+class ChordHeads
+{
+   /*
+      "positions" es el arreglo de posiciones verticales de las notas del acorde.
+      "accidentals" es el arreglo de alteraciones ("sharp", "flat", "natural" o null) de cada nota.
+      "symbolId" es el índice de la figura, desde 0 (redonda) hasta 6 (semifusa).
+      "dots" es la cantidad de puntillos de la figura.
+      "direction" es la dirección de la plica, "up" o "down".
+   */
+   constructor(positions, accidentals, symbolId, dots, scoreDimensions, direction)
+   {
+      this.positions = positions;
+      this.symbolId = symbolId;
+      this.color = "black";
+
+      /*
+         Color con el que se marcan las cabezas en el modo de práctica o en el resultado de una evaluación, o null si no están marcadas.
+      */
+      this.mark = null;
+
+      this.highPos = Math.max.apply(null, positions);
+      this.lowPos = Math.min.apply(null, positions);
+
+      this.y = [];
+      this.accidentals = [];
+      this.dots = [];
+      for(var i = 0; i < positions.length; ++i)
+      {
+         this.y.push(scoreDimensions.getPosY(positions[i]));
+         this.accidentals.push(accidentals[i] != null ? new Accidental(accidentals[i], this.y[i]) : null);
+
+         if(dots > 0)
+         {
+            this.dots.push(new Dots(dots, scoreDimensions.getPosY(positions[i] % 2 == 0 ? positions[i] + 1 : positions[i])));
+         }
+      }
+
+      /*
+         Si el acorde forma parte de una sección de corcheas, la plica y la barra las dibuja la sección.
+      */
+      this.beamed = false;
+
+      this.layout(direction);
+   }
+
+   /*
+      Ubica las cabezas a cada lado de la plica.
+      Cuando dos notas forman una segunda, la segunda de ellas (en el sentido de la plica) se desplaza al otro lado.
+   */
+   layout(direction)
+   {
+      this.direction = direction;
+      this.offsets = [];
+
+      const order = [];
+      for(var i = 0; i < this.positions.length; ++i)
+      {
+         this.offsets.push(0);
+         order.push(i);
+      }
+
+      const sign = direction == "down" ? -1 : 1;
+      order.sort((a, b) => (this.positions[a] - this.positions[b]) * sign);
+
+      for(var i = 1; i < order.length; ++i)
+      {
+         const current = order[i];
+         const previous = order[i - 1];
+
+         if(Math.abs(this.positions[current] - this.positions[previous]) == 1 && this.offsets[previous] == 0)
+         {
+            this.offsets[current] = 8.5 * sign;
+         }
+      }
+
+      /*
+         Las alteraciones se acomodan en columnas para que no se superpongan.
+      */
+      this.accidentalColumns = [];
+      const columns = [];
+      for(var i = 0; i < this.positions.length; ++i)
+      {
+         this.accidentalColumns.push(0);
+      }
+
+      const byHeight = order.slice().sort((a, b) => this.positions[b] - this.positions[a]);
+      for(var i = 0; i < byHeight.length; ++i)
+      {
+         const id = byHeight[i];
+         if(this.accidentals[id] == null) continue;
+
+         var column = 0;
+         while(columns[column] != undefined && columns[column] - this.positions[id] < 6)
+         {
+            ++column;
+         }
+
+         columns[column] = this.positions[id];
+         this.accidentalColumns[id] = column;
+      }
+   }
+
+   /*
+      Indica que la plica del acorde la dibuja una sección de corcheas en la dirección "direction".
+   */
+   beam(direction)
+   {
+      this.beamed = true;
+      this.layout(direction);
+   }
+
+   /*
+      Cambia el color de las cabezas, la plica, las alteraciones y los puntillos.
+   */
+   setColor(color)
+   {
+      this.color = color;
+
+      for(var i = 0; i < this.positions.length; ++i)
+      {
+         if(this.accidentals[i] != null)
+         {
+            this.accidentals[i].color = color;
+         }
+
+         if(this.dots.length > 0)
+         {
+            this.dots[i].color = color;
+         }
+      }
+   }
+
+   draw(context, x)
+   {
+      const color = this.mark != null ? this.mark : this.color;
+
+      const leftShift = this.offsets.some(offset => offset < 0) ? 8.5 : 0;
+
+      for(var i = 0; i < this.positions.length; ++i)
+      {
+         if(this.accidentals[i] != null)
+         {
+            this.accidentals[i].draw(context, x - leftShift - this.accidentalColumns[i] * 9);
+         }
+
+         if(this.dots.length > 0)
+         {
+            this.dots[i].draw(context, x + Math.max(0, this.offsets[i]));
+         }
+
+         context.fillStyle = color;
+         Glyphs.drawHead(context, this.symbolId, x + this.offsets[i] + 4.5, this.y[i]);
+      }
+
+      if(this.symbolId == 0 || this.beamed)
+      {
+         return;
+      }
+
+      /*
+         La plica une la cabeza más alejada con la punta, que queda a tres espacios y medio de la cabeza más cercana.
+      */
+      const highY = this.y[this.positions.indexOf(this.highPos)];
+      const lowY = this.y[this.positions.indexOf(this.lowPos)];
+
+      var stemX, fromY, toY;
+      if(this.direction == "up")
+      {
+         stemX = x + 8.5;
+         fromY = lowY;
+         toY = highY - 23;
+      }
+      else
+      {
+         stemX = x + 0.5;
+         fromY = highY;
+         toY = lowY + 23;
+      }
+
+      context.strokeStyle = color;
+      context.beginPath();
+      context.moveTo(stemX, fromY);
+      context.lineTo(stemX, toY);
+      context.lineWidth = 1;
+      context.stroke();
+
+      Glyphs.drawFlags(context, this.symbolId - 2, stemX, toY, this.direction);
+   }
+};
+
+/*
+   Representa cada uno de los símbolos de silencio.
+   Los silencios se dibujan con trazos del canvas y siempre se ubican en el centro del pentagrama.
+*/
+class VisualRest
+{
+   /*
+      "symbolId" es el índice de la figura, desde 0 (silencio de redonda) hasta 6 (silencio de semifusa).
+      "duration" es la duración en segundos de la figura a 120 pulsaciones de negra por minuto.
+      "dots" es la cantidad de puntillos de la figura, de 0 a 2.
+   */
+   constructor(symbolId, duration, tempo, scoreDimensions, dots)
+   {
+      this.symbolId = symbolId;
+      this.verticalPos = 4;
+      this.x = 0;
+      this.y = scoreDimensions.getPosY(this.verticalPos);
+      this.duration = duration * Dots.getFactor(dots) * (120 / tempo);
+      this.color = "black";
+
+      this.dots = null;
+      if(dots > 0)
+      {
+         this.dots = new Dots(dots, scoreDimensions.getPosY(this.verticalPos + 1));
+      }
+   }
+
+   setColor(color)
+   {
+      this.color = color;
+
+      if(this.dots != null)
+      {
+         this.dots.color = color;
+      }
+   }
+
+   draw(context)
+   {
+      const x = this.x;
+      const y = this.y;
+
+      if(this.dots != null)
+      {
+         this.dots.draw(context, x);
+      }
+
+      context.fillStyle = this.color;
+      context.strokeStyle = this.color;
+
+      switch(this.symbolId)
+      {
+      case 0:
+         /*
+            El silencio de redonda cuelga de la cuarta línea.
+         */
+         context.fillRect(x, y - 7, 9, 3.5);
+         return;
+
+      case 1:
+         /*
+            El silencio de blanca se apoya sobre la tercera línea.
+         */
+         context.fillRect(x, y - 3.5, 9, 3.5);
+         return;
+
+      case 2:
+         context.beginPath();
+         context.moveTo(x + 2, y - 10);
+         context.lineTo(x + 7, y - 4);
+         context.lineTo(x + 3, y);
+         context.lineTo(x + 7, y + 5);
+         context.quadraticCurveTo(x, y + 3, x + 4, y + 10);
+         context.lineWidth = 2;
+         context.stroke();
+         return;
+      }
+
+      /*
+         Los silencios de corchea, semicorchea, fusa y semifusa tienen un corchete por cada división.
+      */
+      const flags = this.symbolId - 2;
+      const top = y - 7;
+      const bottom = y + 7 * (flags - 1);
+
+      context.beginPath();
+      context.moveTo(x + 8, top);
+      context.lineTo(x + 4, bottom);
+      context.lineWidth = 1;
+      context.stroke();
+
+      for(var i = 0; i < flags; ++i)
+      {
+         const fy = top + 7 * i;
+         const fx = x + 8 - 4 * (fy - top) / (bottom - top);
+
+         context.beginPath();
+         context.arc(x + 2.5, fy + 1.5, 1.75, 0, 2 * Math.PI);
+         context.fill();
+
+         context.beginPath();
+         context.moveTo(x + 2.5, fy + 3);
+         context.quadraticCurveTo(x + 5, fy + 4, fx, fy);
+         context.stroke();
+      }
+   }
+};
+
+/*
+   Líneas adicionales de las notas que están por encima o por debajo del pentagrama.
+*/
+class LedgerLines
+{
+   /*
+      "ys" es el arreglo de coordenadas verticales de cada línea.
+   */
+   constructor(ys)
+   {
+      this.ys = ys;
+      this.color = "black";
+   }
+
+   /*
+      "x" es la coordenada horizontal de la nota.
+      "left" y "right" son los desplazamientos extremos de las cabezas, que solo difieren de 0 en los acordes con segundas.
+   */
+   draw(context, x, left, right)
+   {
+      context.strokeStyle = this.color;
+      context.lineWidth = 1;
+      context.beginPath();
+
+      for(var i = 0; i < this.ys.length; ++i)
+      {
+         context.moveTo(x - 3 + left, this.ys[i]);
+         context.lineTo(x + 12 + right, this.ys[i]);
+      }
+
+      context.stroke();
+   }
+};
+
+/*
+   Puntillos de una nota o de un silencio.
+*/
+class Dots
+{
+   /*
+      "count" es la cantidad de puntillos.
+      "y" es la coordenada vertical de los puntillos.
+   */
+   constructor(count, y)
+   {
+      this.count = count;
+      this.y = y;
+      this.color = "black";
+   }
+
+   /*
+      Devuelve el factor por el que se multiplica la duración de una figura con "dots" puntillos.
+   */
+   static getFactor(dots)
+   {
+      var factor = 1;
+      for(var i = 1; i <= dots; ++i)
+      {
+         factor += Math.pow(0.5, i);
+      }
+
+      return factor;
+   }
+
+   /*
+      "x" es la coordenada horizontal de la figura a la que pertenecen los puntillos.
+   */
+   draw(context, x)
+   {
+      context.fillStyle = this.color;
+
+      for(var i = 0; i < this.count; ++i)
+      {
+         context.beginPath();
+         context.arc(x + 13 + i * 4, this.y, 1.5, 0, 2 * Math.PI);
+         context.fill();
+      }
+   }
+};
+
+/*
+   Ligadura de prolongación entre dos notas de la misma altura.
+*/
+class Tie
+{
+   /*
+      "x" y "toX" son las coordenadas horizontales de los extremos de la ligadura.
+      "y" es la coordenada vertical de los extremos.
+      "direction" es "up" si la curva se dibuja hacia arriba o "down" si se dibuja hacia abajo.
+   */
+   constructor(x, y, toX, direction)
+   {
+      this.x = x;
+      this.y = y;
+      this.toX = toX;
+      this.direction = direction;
+      this.color = "black";
+   }
+
+   draw(context)
+   {
+      const bend = this.direction == "up" ? -5 : 5;
+      const midX = (this.x + this.toX) / 2;
+
+      context.fillStyle = this.color;
+      context.beginPath();
+      context.moveTo(this.x, this.y);
+      context.quadraticCurveTo(midX, this.y + bend * 1.5, this.toX, this.y);
+      context.quadraticCurveTo(midX, this.y + bend * 1.9, this.x, this.y);
+      context.fill();
+   }
+};
+
+/*
+   Indicación metronómica que se dibuja sobre el pentagrama donde cambia el tempo.
+*/
+class TempoMark
+{
+   /*
+      "tempo" es el tempo en pulsaciones de una negra por minuto.
+   */
+   constructor(x, y, tempo)
+   {
+      this.x = x;
+      this.y = y;
+      this.toX = x + 50;
+      this.tempo = tempo;
+      this.color = "black";
+   }
+
+   draw(context)
+   {
+      context.fillStyle = this.color;
+      context.strokeStyle = this.color;
+
+      context.beginPath();
+      context.ellipse(this.x + 3, this.y - 2, 3, 2, -0.4, 0, 2 * Math.PI);
+      context.fill();
+
+      context.beginPath();
+      context.moveTo(this.x + 5.5, this.y - 2.5);
+      context.lineTo(this.x + 5.5, this.y - 13);
+      context.lineWidth = 1;
+      context.stroke();
+
+      context.font = "10px serif";
+      context.textAlign = "left";
+      context.fillText("= " + Math.round(this.tempo), this.x + 9, this.y);
+   }
+};
+
+/*
+   Indicación de un cambio gradual de tempo: el texto "accel." o "rit." seguido de una línea punteada hasta el final del cambio.
+*/
+class TempoChangeMark
+{
+   constructor(x, y, toX, text)
+   {
+      this.x = x;
+      this.y = y;
+      this.toX = toX;
+      this.text = text;
+      this.color = "black";
+   }
+
+   draw(context)
+   {
+      context.fillStyle = this.color;
+      context.strokeStyle = this.color;
+
+      context.font = "italic 10px serif";
+      context.textAlign = "left";
+      context.fillText(this.text, this.x, this.y);
+
+      const textWidth = context.measureText(this.text).width;
+
+      if(this.x + textWidth + 4 < this.toX)
+      {
+         context.beginPath();
+         context.setLineDash([2, 3]);
+         context.moveTo(this.x + textWidth + 4, this.y - 3);
+         context.lineTo(this.toX, this.y - 3);
+         context.lineWidth = 1;
+         context.stroke();
+         context.setLineDash([]);
+      }
+   }
+};
+
+/*
+   Línea divisoria entre dos compases, con el número del compás que comienza.
+*/
+class Barline
+{
+   /*
+      "number" es el número del compás que comienza, o null si no se debe dibujar.
+   */
+   constructor(x, scoreDimensions, number)
+   {
+      this.x = x;
+      this.y = scoreDimensions.padding + 0.5;
+      this.large = scoreDimensions.height - 1;
+      this.number = number;
+      this.color = "black";
+
+      /*
+         Signo de repetición de la barra: null, "start", "end" o "both".
+      */
+      this.repeat = null;
+      this.dotsY = [scoreDimensions.getPosY(3), scoreDimensions.getPosY(5)];
+   }
+
+   draw(context)
+   {
+      context.strokeStyle = this.color;
+      context.fillStyle = this.color;
+
+      if(this.repeat != null)
+      {
+         this.drawRepeat(context);
+      }
+      else
+      {
+         context.beginPath();
+         context.moveTo(this.x, this.y);
+         context.lineTo(this.x, this.y + this.large);
+         context.lineWidth = 1;
+         context.stroke();
+      }
+
+      if(this.number != null)
+      {
+         context.fillStyle = this.color;
+         context.font = "9px serif";
+         context.textAlign = "center";
+         context.fillText(this.number, this.x, this.y - 5);
+      }
+   }
+
+   /*
+      Dibuja una barra gruesa con una barra fina y dos puntos hacia el lado de la sección que se repite.
+   */
+   drawRepeat(context)
+   {
+      context.fillRect(this.x - 1.5, this.y, 3, this.large);
+
+      const sides = this.repeat == "both" ? [-1, 1] : [this.repeat == "start" ? 1 : -1];
+
+      for(var i = 0; i < sides.length; ++i)
+      {
+         context.beginPath();
+         context.moveTo(this.x + sides[i] * 4.5, this.y);
+         context.lineTo(this.x + sides[i] * 4.5, this.y + this.large);
+         context.lineWidth = 1;
+         context.stroke();
+
+         for(var j = 0; j < this.dotsY.length; ++j)
+         {
+            context.beginPath();
+            context.arc(this.x + sides[i] * 8.5, this.dotsY[j], 1.5, 0, 2 * Math.PI);
+            context.fill();
+         }
+      }
+   }
+};
+
+/*
+   Corchete de una casilla de repetición, con el número de las pasadas en las que se toca.
+*/
+class VoltaBracket
+{
+   constructor(x, y, toX, text)
+   {
+      this.x = x;
+      this.y = y;
+      this.toX = toX;
+      this.text = text;
+      this.color = "black";
+   }
+
+   draw(context)
+   {
+      context.strokeStyle = this.color;
+      context.fillStyle = this.color;
+
+      context.beginPath();
+      context.moveTo(this.x, this.y + 10);
+      context.lineTo(this.x, this.y);
+      context.lineTo(this.toX, this.y);
+      context.lineWidth = 1;
+      context.stroke();
+
+      context.font = "10px serif";
+      context.textAlign = "left";
+      context.fillText(this.text, this.x + 4, this.y + 10);
+   }
+};
+
+/*
+   Linea vertical de una nota.
+*/
+class NoteLine
+{
+   constructor(x, y, large)
+   {
+      this.x = x;
+      this.y = y;
+      this.large = large;
+      this.color = "black";
+   }
+
+   draw(context)
+   {
+      context.strokeStyle = this.color;
+      context.beginPath();
+      context.moveTo(this.x, this.y);
+      context.lineTo(this.x, this.y + this.large);
+      context.lineWidth = 1;
+      context.stroke();
+   }
+};
+
+/*
+   Línea horizontal que forma parte de una sección de corcheas.
+*/
+class QuaverSection
+{
+   constructor(x, y, toX, toY)
+   {
+      this.x = x;
+      this.y = y;
+      this.toX = toX;
+      this.toY = toY;
+      this.color = "black";
+
+      /*
+         Notas visuales que une la barra.
+      */
+      this.notes = [];
+
+      /*
+         Color de la parte de la barra que corresponde a cada nota de "notes", o null para usar "color". Cada nota ocupa la barra hasta la mitad de la distancia a sus vecinas.
+      */
+      this.noteColors = [];
+   }
+
+   draw(context)
+   {
+      const count = Math.max(1, this.notes.length);
+      const offset = this.notes.length > 0 ? this.x - this.notes[0].x : 0;
+
+      /*
+         Las partes contiguas del mismo color se dibujan con un solo trazo.
+      */
+      var fromX = this.x;
+      for(var i = 0; i < count; ++i)
+      {
+         const color = this.getNoteColor(i);
+
+         if(i + 1 < count && this.getNoteColor(i + 1) == color)
+         {
+            continue;
+         }
+
+         const toX = i + 1 < count ? (this.notes[i].x + this.notes[i + 1].x) / 2 + offset : this.toX;
+         this.drawPart(context, fromX, toX, color);
+         fromX = toX;
+      }
+   }
+
+   getNoteColor(index)
+   {
+      const color = this.noteColors[index];
+      return color != null ? color : this.color;
+   }
+
+   drawPart(context, fromX, toX, color)
+   {
+      const slope = this.toX != this.x ? (this.toY - this.y) / (this.toX - this.x) : 0;
+
+      context.strokeStyle = color;
+      context.beginPath();
+      context.moveTo(fromX, this.y + (fromX - this.x) * slope);
+      context.lineTo(toX, this.y + (toX - this.x) * slope);
+      context.lineWidth = 3;
+      context.stroke();
+   }
+};
+
+/*
+   Alteración (sostenido, bemol o becuadro) que acompaña a una nota.
+   Se dibuja con trazos del canvas, a la izquierda de la cabeza de la nota.
+*/
+class Accidental
+{
+   /*
+      "type" puede ser "sharp", "flat" o "natural".
+      "y" es la coordenada vertical del centro de la cabeza de la nota.
+   */
+   constructor(type, y)
+   {
+      this.type = type;
+      this.y = y;
+      this.color = "black";
+   }
+
+   /*
+      "x" es la coordenada horizontal de la nota a la que pertenece la alteración.
+   */
+   draw(context, x)
+   {
+      const y = this.y;
+
+      context.strokeStyle = this.color;
+      context.beginPath();
+
+      switch(this.type)
+      {
+      case "sharp":
+         context.lineWidth = 1;
+         context.moveTo(x - 8.5, y - 7);
+         context.lineTo(x - 8.5, y + 8);
+         context.moveTo(x - 5.5, y - 8);
+         context.lineTo(x - 5.5, y + 7);
+         context.stroke();
+
+         context.beginPath();
+         context.lineWidth = 2;
+         context.moveTo(x - 11, y - 1);
+         context.lineTo(x - 3, y - 3.5);
+         context.moveTo(x - 11, y + 3.5);
+         context.lineTo(x - 3, y + 1);
+         break;
+
+      case "flat":
+         context.lineWidth = 1;
+         context.moveTo(x - 8.5, y - 10);
+         context.lineTo(x - 8.5, y + 3.5);
+         context.bezierCurveTo(x - 3, y + 1, x - 2, y - 4, x - 8.5, y - 1);
+         break;
+
+      case "natural":
+         context.lineWidth = 1;
+         context.moveTo(x - 9, y - 8);
+         context.lineTo(x - 9, y + 3);
+         context.moveTo(x - 5, y - 3);
+         context.lineTo(x - 5, y + 8);
+         context.stroke();
+
+         context.beginPath();
+         context.lineWidth = 2;
+         context.moveTo(x - 9, y - 1.5);
+         context.lineTo(x - 5, y - 3);
+         context.moveTo(x - 9, y + 3);
+         context.lineTo(x - 5, y + 1.5);
+         break;
+      }
+
+      context.stroke();
+   }
+};
+
+/*
+   Reloj que marca el instante actual de la pieza a partir de performance.now(). Es el reloj por defecto de AnimatedScore.
+   Un reloj es cualquier objeto con los siguientes métodos:
+      > start(time): comienza a avanzar desde el instante "time" de la pieza, en milisegundos.
+      > pause(): deja de avanzar.
+      > getTime(): devuelve el instante actual de la pieza, en milisegundos.
+*/
+class PerformanceClock
+{
+   constructor()
+   {
+      this.origin = 0;
+      this.pausedTime = 0;
+      this.running = false;
+   }
+
+   start(time)
+   {
+      this.origin = performance.now() - time;
+      this.running = true;
+   }
+
+   pause()
+   {
+      this.pausedTime = this.getTime();
+      this.running = false;
+   }
+
+   getTime()
+   {
+      return this.running ? performance.now() - this.origin : this.pausedTime;
+   }
+};
+
+/*
+   Reloj que sigue el tiempo de un AudioContext, para que la animación no se desfase del audio.
+   "context" puede ser null mientras el reloj está detenido, pero se debe asignar antes de llamar a "start".
+*/
+class AudioContextClock
+{
+   constructor(context)
+   {
+      this.context = context;
+      this.origin = 0;
+      this.pausedTime = 0;
+      this.running = false;
+   }
+
+   start(time)
+   {
+      this.origin = this.context.currentTime * 1000 - time;
+      this.running = true;
+   }
+
+   pause()
+   {
+      this.pausedTime = this.getTime();
+      this.running = false;
+   }
+
+   getTime()
+   {
+      return this.running ? this.context.currentTime * 1000 - this.origin : this.pausedTime;
+   }
+};
+
+/*
+   Reloj que sigue la posición de un elemento <audio> o <video>.
+   "offset" (opcional) es el instante del elemento, en milisegundos, en el que comienza la pieza.
+*/
+class MediaClock
+{
+   constructor(media, offset)
+   {
+      this.media = media;
+      this.offset = typeof offset == "number" ? offset : 0;
+   }
+
+   start(time)
+   {
+      this.media.currentTime = (time + this.offset) / 1000;
+      this.media.play();
+   }
+
+   pause()
+   {
+      this.media.pause();
+   }
+
+   getTime()
+   {
+      return this.media.currentTime * 1000 - this.offset;
+   }
+};
+
+/*
+   Reloj que solo avanza cuando se llama a "setTime". Sirve para controlar la animación desde el código, por ejemplo en las pruebas.
+*/
+class ManualClock
+{
+   constructor()
+   {
+      this.time = 0;
+   }
+
+   start(time)
+   {
+      this.time = time;
+   }
+
+   pause()
+   {
+   }
+
+   setTime(time)
+   {
+      this.time = time;
+   }
+
+   getTime()
+   {
+      return this.time;
+   }
+};
+
+/*
+   Fuente de notas que usa el teclado de la computadora como un teclado de piano.
+   La fila "a s d f g h j k l" corresponde a las teclas blancas desde do y la fila "w e t y u o p" a las negras. Las teclas "z" y "x" bajan y suben una octava.
+   Las fuentes de notas llaman a la función registrada con "connect" cada vez que se toca una nota, con la nota (de 0 a 11) y la octava.
+*/
+class KeyboardInput
+{
+   /*
+      "target" (opcional) es el elemento que recibe los eventos del teclado. Por defecto es "window".
+      "octave" (opcional) es la octava de la tecla "a". Por defecto es 3, la del do central.
+   */
+   constructor(target, octave)
+   {
+      this.target = target != undefined ? target : window;
+      this.octave = Number.isInteger(octave) ? octave : 3;
+      this.listener = null;
+
+      this.keys = {
+         a: 0, w: 1, s: 2, e: 3, d: 4, f: 5, t: 6, g: 7, y: 8, h: 9, u: 10, j: 11,
+         k: 12, o: 13, l: 14, p: 15
+      };
+
+      this.keyCallback = this.onKeyDown.bind(this);
+   }
+
+   connect(listener)
+   {
+      this.disconnect();
+      this.listener = listener;
+      this.target.addEventListener("keydown", this.keyCallback);
+   }
+
+   disconnect()
+   {
+      this.target.removeEventListener("keydown", this.keyCallback);
+      this.listener = null;
+   }
+
+   onKeyDown(event)
+   {
+      /*
+         Se ignoran las repeticiones de una tecla mantenida, las combinaciones y lo que se escribe en los campos de texto.
+      */
+      if(event.repeat || event.ctrlKey || event.altKey || event.metaKey)
+      {
+         return;
+      }
+
+      if(event.target != undefined && event.target.tagName != undefined && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName))
+      {
+         return;
+      }
+
+      const key = event.key.toLowerCase();
+
+      if(key == "z" || key == "x")
+      {
+         this.octave = Math.max(0, Math.min(6, this.octave + (key == "z" ? -1 : 1)));
+         return;
+      }
+
+      const offset = this.keys[key];
+      if(offset == undefined || this.listener == null)
+      {
+         return;
+      }
+
+      this.listener(offset % 12, this.octave + Math.floor(offset / 12));
+   }
+};
+
+/*
+   Fuente de notas que recibe las notas de los dispositivos MIDI conectados, mediante Web MIDI.
+*/
+class MidiInput
+{
+   /*
+      "access" (opcional) es un objeto MIDIAccess ya obtenido. Si no se indica, se solicita al conectar.
+   */
+   constructor(access)
+   {
+      this.access = access != undefined ? access : null;
+      this.listener = null;
+      this.inputs = [];
+
+      this.messageCallback = this.onMessage.bind(this);
+      this.stateCallback = () => this.attachInputs();
+   }
+
+   /*
+      Devuelve una promesa que se resuelve cuando se obtuvo el acceso a los dispositivos MIDI.
+   */
+   connect(listener)
+   {
+      this.disconnect();
+      this.listener = listener;
+
+      var request;
+      if(this.access != null)
+      {
+         request = Promise.resolve(this.access);
+      }
+      else if(typeof navigator != "undefined" && typeof navigator.requestMIDIAccess == "function")
+      {
+         request = navigator.requestMIDIAccess();
+      }
+      else
+      {
+         return Promise.reject("el navegador no admite Web MIDI");
+      }
+
+      return request.then(access => {
+         this.access = access;
+
+         if(this.listener != null)
+         {
+            this.access.addEventListener("statechange", this.stateCallback);
+            this.attachInputs();
+         }
+      });
+   }
+
+   disconnect()
+   {
+      for(var i = 0; i < this.inputs.length; ++i)
+      {
+         this.inputs[i].removeEventListener("midimessage", this.messageCallback);
+      }
+
+      if(this.access != null)
+      {
+         this.access.removeEventListener("statechange", this.stateCallback);
+      }
+
+      this.inputs = [];
+      this.listener = null;
+   }
+
+   /*
+      Escucha los mensajes de los dispositivos de entrada, incluidos los que se conectan después.
+   */
+   attachInputs()
+   {
+      this.access.inputs.forEach(input => {
+         if(this.inputs.indexOf(input) == -1)
+         {
+            input.addEventListener("midimessage", this.messageCallback);
+            this.inputs.push(input);
+         }
+      });
+   }
+
+   onMessage(event)
+   {
+      const data = event.data;
+
+      /*
+         Solo interesan los mensajes "note on" con velocidad mayor que cero; los demás terminan notas o no son notas.
+      */
+      if(data.length < 3 || (data[0] & 0xF0) != 0x90 || data[2] == 0 || this.listener == null)
+      {
+         return;
+      }
+
+      this.listener(data[1] % 12, Math.floor(data[1] / 12) - 2);
+   }
+};
+
+/*
+   Motor de audio que reproduce las notas de la partitura mediante Web Audio.
+   Cada nota se reproduce con un sintetizador simple o, si se suministran, con muestras de audio.
+*/
+class AudioEngine
+{
+   /*
+      "options" es un objeto con los siguientes campos, todos opcionales:
+         > context: (AudioContext) contexto de audio a utilizar. Si no se indica, se crea uno al comenzar la reproducción.
+         > samples: (object) muestras de audio indexadas por número de nota MIDI. Cada nota se reproduce con la muestra más cercana, transportada a su altura.
+         > volume: (number) volumen general, de 0 a 1. Por defecto es 0.5.
+         > waveform: (string) forma de onda del sintetizador ("sine", "square", "sawtooth" o "triangle"). Por defecto es "triangle".
+   */
+   constructor(options)
+   {
+      options = typeof options == "object" && options != null ? options : {};
+
+      this.context = options.context || null;
+      this.samples = typeof options.samples == "object" && options.samples != null ? options.samples : null;
+      this.volume = typeof options.volume == "number" ? options.volume : 0.5;
+      this.waveform = typeof options.waveform == "string" ? options.waveform : "triangle";
+
+      /*
+         Tiempo en segundos que se agenda por adelantado en cada llamada a "schedule".
+      */
+      this.lookahead = 0.2;
+
+      /*
+         Eventos de sonido de la pieza, ordenados por tiempo de inicio.
+      */
+      this.events = [];
+      this.nextEvent = 0;
+
+      /*
+         Voces que están sonando o agendadas.
+      */
+      this.voices = [];
+
+      /*
+         Instante del reloj de audio que corresponde al comienzo de la pieza.
+      */
+      this.startAudioTime = 0;
+      this.playing = false;
+
+      /*
+         Siguiente vuelta de una región que se repite, cuando su comienzo ya se agendó por adelantado: instante del reloj de audio en el que comienza ("wrapTime"), instante del reloj de audio que corresponde al comienzo de la pieza en esa vuelta ("startAudioTime") y próximo evento a agendar ("nextEvent").
+      */
+      this.nextPass = null;
+   }
+
+   /*
+      "events" es un arreglo de objetos con los campos "midi" (número de nota MIDI), "time" y "duration" (ambos en milisegundos).
+   */
+   setEvents(events)
+   {
+      this.stop();
+      this.events = events.slice().sort((a, b) => a.time - b.time);
+   }
+
+   /*
+      Comienza la reproducción desde el instante "fromTime" de la pieza, en milisegundos.
+   */
+   play(fromTime)
+   {
+      this.resume();
+      this.stopVoices();
+
+      this.startAudioTime = this.context.currentTime - fromTime / 1000;
+      this.playing = true;
+      this.nextPass = null;
+
+      /*
+         Se parte del primer evento que todavía suena en "fromTime", para retomar las notas largas que quedaron a medio reproducir.
+      */
+      this.nextEvent = 0;
+      while(this.nextEvent < this.events.length && this.events[this.nextEvent].time + this.events[this.nextEvent].duration <= fromTime)
+      {
+         this.nextEvent += 1;
+      }
+
+      this.schedule(fromTime);
+   }
+
+   /*
+      Crea el contexto de audio si todavía no existe, o lo reanuda si está suspendido.
+      Los navegadores solo permiten hacerlo a partir de un gesto del usuario, por eso no se llama en el constructor.
+   */
+   resume()
+   {
+      if(this.context == null)
+      {
+         this.context = new AudioContext();
+      }
+
+      if(this.context.state == "suspended")
+      {
+         this.context.resume();
+      }
+   }
+
+   /*
+      Pasa a la siguiente vuelta de la región que se repite, cuyo comienzo normalmente ya se agendó en "schedule". Las voces que siguen sonando no se interrumpen.
+      Si no se llegó a agendar nada, comienza la reproducción desde "fromTime".
+   */
+   continueLoop(fromTime)
+   {
+      /*
+         Si el reloj se desfasó respecto de lo agendado, por ejemplo porque se perdieron varios cuadros, se vuelve a comenzar.
+      */
+      if(!this.playing || this.nextPass == null || Math.abs(this.nextPass.startAudioTime + fromTime / 1000 - this.context.currentTime) > this.lookahead)
+      {
+         this.play(fromTime);
+         return;
+      }
+
+      this.startAudioTime = this.nextPass.startAudioTime;
+      this.nextEvent = this.nextPass.nextEvent;
+      this.nextPass = null;
+   }
+
+   pause()
+   {
+      this.playing = false;
+      this.nextPass = null;
+      this.stopVoices();
+   }
+
+   stop()
+   {
+      this.pause();
+      this.nextEvent = 0;
+   }
+
+   /*
+      Agenda los eventos que comienzan antes de "currentTime" más el tiempo de anticipación.
+      "endTime" (opcional) es un instante a partir del cual no se agendan eventos, por ejemplo la próxima nota que se espera en el modo de práctica.
+      "loop" (opcional) es la región que se repite, con los campos "start" y "end". Sus notas se cortan en "end", y si la anticipación pasa de "end" se agenda también el comienzo de la siguiente vuelta, para que no haya un silencio al volver.
+      Se debe llamar periódicamente mientras dura la reproducción.
+   */
+   schedule(currentTime, endTime, loop)
+   {
+      if(!this.playing)
+      {
+         return;
+      }
+
+      var limit = Math.min(currentTime + this.lookahead * 1000, typeof endTime == "number" ? endTime : Infinity);
+
+      if(loop == null || currentTime < loop.start || currentTime >= loop.end)
+      {
+         this.cancelNextPass();
+         this.nextEvent = this.scheduleEvents(this.nextEvent, this.startAudioTime, limit, Infinity);
+         return;
+      }
+
+      this.nextEvent = this.scheduleEvents(this.nextEvent, this.startAudioTime, Math.min(limit, loop.end), loop.end);
+
+      if(limit <= loop.end)
+      {
+         return;
+      }
+
+      if(this.nextPass == null)
+      {
+         var first = 0;
+         while(first < this.events.length && this.events[first].time < loop.start)
+         {
+            first += 1;
+         }
+
+         this.nextPass = {
+            wrapTime: this.startAudioTime + loop.end / 1000,
+            startAudioTime: this.startAudioTime + (loop.end - loop.start) / 1000,
+            nextEvent: first
+         };
+      }
+
+      limit = Math.min(loop.start + limit - loop.end, loop.end);
+      this.nextPass.nextEvent = this.scheduleEvents(this.nextPass.nextEvent, this.nextPass.startAudioTime, limit, loop.end);
+   }
+
+   /*
+      Agenda los eventos desde el número "index" que comienzan antes del instante "limit" de la pieza, cortándolos en el instante "clipTime".
+      "startAudioTime" es el instante del reloj de audio que corresponde al comienzo de la pieza. Devuelve el número del próximo evento a agendar.
+   */
+   scheduleEvents(index, startAudioTime, limit, clipTime)
+   {
+      const now = this.context.currentTime;
+
+      while(index < this.events.length && this.events[index].time < limit)
+      {
+         const event = this.events[index];
+         index += 1;
+
+         var when = startAudioTime + event.time / 1000;
+         var duration = (Math.min(event.time + event.duration, clipTime) - event.time) / 1000;
+
+         /*
+            Un evento que ya debería haber comenzado suena solo lo que le resta.
+         */
+         if(when < now)
+         {
+            duration -= now - when;
+            when = now;
+         }
+
+         if(duration <= 0)
+         {
+            continue;
+         }
+
+         const voice = this.createVoice(this.context, this.context.destination, event.midi, when, duration);
+         voice.when = when;
+         this.voices.push(voice);
+
+         voice.source.onended = () => {
+            const position = this.voices.indexOf(voice);
+            if(position != -1) this.voices.splice(position, 1);
+         };
+      }
+
+      return index;
+   }
+
+   /*
+      Detiene de inmediato todas las voces.
+   */
+   stopVoices()
+   {
+      for(var i = 0; i < this.voices.length; ++i)
+      {
+         this.stopVoice(this.voices[i]);
+      }
+
+      this.voices = [];
+   }
+
+   stopVoice(voice)
+   {
+      voice.source.onended = null;
+      voice.gain.gain.cancelScheduledValues(0);
+      voice.gain.gain.value = 0;
+
+      try
+      {
+         voice.source.stop();
+      }
+      catch(e)
+      {
+         /*
+            La voz todavía no había comenzado o ya se había detenido.
+         */
+      }
+   }
+
+   /*
+      Descarta la siguiente vuelta de la región que se repite que se había agendado por adelantado, por ejemplo porque se quitó la región.
+   */
+   cancelNextPass()
+   {
+      if(this.nextPass == null)
+      {
+         return;
+      }
+
+      const wrapTime = this.nextPass.wrapTime;
+      this.voices = this.voices.filter(voice => {
+         if(voice.when < wrapTime)
+         {
+            return true;
+         }
+
+         this.stopVoice(voice);
+         return false;
+      });
+
+      this.nextPass = null;
+   }
+
+   /*
+      Crea y agenda una voz para la nota "midi" en el instante "when" del contexto, con una duración de "duration" segundos.
+      Devuelve un objeto con la fuente de sonido ("source") y su nodo de ganancia ("gain").
+   */
+   createVoice(context, destination, midi, when, duration)
+   {
+      const attack = 0.01;
+      const release = 0.08;
+
+      const gain = context.createGain();
+      gain.connect(destination);
+
+      var source;
+      const sample = this.getNearestSample(midi);
+
+      if(sample != null)
+      {
+         source = context.createBufferSource();
+         source.buffer = sample.buffer;
+         source.playbackRate.value = Math.pow(2, (midi - sample.midi) / 12);
+      }
+      else
+      {
+         source = context.createOscillator();
+         source.type = this.waveform;
+         source.frequency.value = 440 * Math.pow(2, (midi - 69) / 12);
+      }
+
+      source.connect(gain);
+
+      gain.gain.setValueAtTime(0, when);
+      gain.gain.linearRampToValueAtTime(this.volume * 0.3, when + attack);
+      gain.gain.setValueAtTime(this.volume * 0.3, when + Math.max(attack, duration - release));
+      gain.gain.linearRampToValueAtTime(0, when + duration + release);
+
+      source.start(when);
+      source.stop(when + duration + release);
+
+      return { source: source, gain: gain };
+   }
+
+   /*
+      Devuelve la muestra más cercana a la nota "midi", o null si no hay muestras.
+   */
+   getNearestSample(midi)
+   {
+      if(this.samples == null)
+      {
+         return null;
+      }
+
+      var nearest = null;
+      for(var key in this.samples)
+      {
+         const sampleMidi = Number(key);
+
+         if(nearest == null || Math.abs(sampleMidi - midi) < Math.abs(nearest.midi - midi))
+         {
+            nearest = { midi: sampleMidi, buffer: this.samples[key] };
+         }
+      }
+
+      return nearest;
+   }
+
+   /*
+      Reproduce todos los eventos en un OfflineAudioContext.
+      Devuelve una promesa que se resuelve con el AudioBuffer resultante.
+   */
+   render(sampleRate)
+   {
+      sampleRate = typeof sampleRate == "number" ? sampleRate : 44100;
+
+      var end = 0;
+      for(var i = 0; i < this.events.length; ++i)
+      {
+         end = Math.max(end, this.events[i].time + this.events[i].duration);
+      }
+
+      /*
+         Se agrega un segundo al final para que la última nota se apague por completo.
+      */
+      const length = Math.ceil((end / 1000 + 1) * sampleRate);
+      const context = new OfflineAudioContext(2, length, sampleRate);
+
+      for(var i = 0; i < this.events.length; ++i)
+      {
+         const event = this.events[i];
+         this.createVoice(context, context.destination, event.midi, event.time / 1000, event.duration / 1000);
+      }
+
+      return context.startRendering();
+   }
+
+   /*
+      Codifica un AudioBuffer como un archivo WAV de 16 bits.
+      Devuelve un ArrayBuffer con el contenido del archivo.
+   */
+   static encodeWAV(audioBuffer)
+   {
+      const channels = audioBuffer.numberOfChannels;
+      const samples = audioBuffer.length;
+      const dataSize = samples * channels * 2;
+
+      const buffer = new ArrayBuffer(44 + dataSize);
+      const view = new DataView(buffer);
+
+      const writeString = (offset, text) => {
+         for(var i = 0; i < text.length; ++i)
+         {
+            view.setUint8(offset + i, text.charCodeAt(i));
+         }
+      };
+
+      writeString(0, "RIFF");
+      view.setUint32(4, 36 + dataSize, true);
+      writeString(8, "WAVE");
+      writeString(12, "fmt ");
+      view.setUint32(16, 16, true);
+      view.setUint16(20, 1, true);
+      view.setUint16(22, channels, true);
+      view.setUint32(24, audioBuffer.sampleRate, true);
+      view.setUint32(28, audioBuffer.sampleRate * channels * 2, true);
+      view.setUint16(32, channels * 2, true);
+      view.setUint16(34, 16, true);
+      writeString(36, "data");
+      view.setUint32(40, dataSize, true);
+
+      const data = [];
+      for(var c = 0; c < channels; ++c)
+      {
+         data.push(audioBuffer.getChannelData(c));
+      }
+
+      var offset = 44;
+      for(var i = 0; i < samples; ++i)
+      {
+         for(var c = 0; c < channels; ++c)
+         {
+            const sample = Math.max(-1, Math.min(1, data[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += 2;
+         }
+      }
+
+      return buffer;
+   }
+};
+
+/*
+   Compara una interpretación grabada con las notas esperadas de una pieza.
+   No depende de la animación, por lo que puede usarse sin conexión para corregir grabaciones.
+*/
+class PerformanceScorer
+{
+   /*
+      "options" es un objeto con los siguientes campos, todos opcionales:
+         > window: (number) distancia máxima, en milisegundos, entre una nota esperada y una tocada para emparejarlas. Por defecto es 200.
+         > tolerance: (number) adelanto o retraso máximo, en milisegundos, con el que una nota se considera tocada a tiempo. Por defecto es 50.
+   */
+   constructor(options)
+   {
+      options = typeof options == "object" && options != null ? options : {};
+
+      this.window = typeof options.window == "number" && options.window > 0 ? options.window : 200;
+      this.tolerance = typeof options.tolerance == "number" && options.tolerance >= 0 ? options.tolerance : 50;
+   }
+
+   /*
+      Compara las notas esperadas "expected" con las notas tocadas "played".
+      Cada nota esperada es un objeto con el índice de su nota o acorde ("index"), su tiempo de inicio en milisegundos ("time") y su número de nota MIDI ("midi"), como las que devuelve "AnimatedScore.getExpectedNotes()".
+      Cada nota tocada es un objeto con su tiempo de inicio en milisegundos ("time") y su número de nota MIDI ("midi") o su nota y octava ("note" y "octave").
+      Devuelve un objeto con los campos:
+         > notes: el resultado de cada nota esperada, en el mismo orden. Incluye los campos de la nota esperada, el estado ("status": "hit", "wrong" o "miss"), la nota tocada que se le asignó ("played", o null) y, si la hay, la diferencia de tiempo ("offset", negativa si se tocó antes) y su clasificación ("timing": "early", "onTime" o "late").
+         > extra: las notas tocadas que no corresponden a ninguna nota esperada.
+         > counts: la cantidad de notas de cada estado ("hit", "wrong", "miss" y "extra") y de notas correctas tocadas antes ("early") o después ("late") de tiempo.
+         > meanOffset: el promedio del valor absoluto de las diferencias de tiempo de las notas correctas, o 0 si no hay ninguna.
+         > accuracy: la puntuación total, de 0 a 1. Cada nota correcta a tiempo suma un punto y cada nota correcta fuera de tiempo medio punto, sobre el total de notas esperadas y sobrantes.
+   */
+   score(expected, played)
+   {
+      if(!(expected instanceof Array) || !(played instanceof Array))
+      {
+         throw "expected y played deben ser arreglos";
+      }
+
+      const candidates = played.map((note, i) => this.readPlayedNote(note, i));
+      candidates.sort((a, b) => a.time - b.time);
+
+      const notes = expected.map(note => Object.assign({}, note, {
+         status: "miss",
+         played: null,
+         offset: null,
+         timing: null
+      }));
+
+      const order = notes.slice().sort((a, b) => a.time - b.time);
+
+      /*
+         Primero se emparejan las notas de la misma altura y luego, entre las que quedan, las de altura equivocada.
+      */
+      this.match(order, candidates, true);
+      this.match(order, candidates, false);
+
+      const extra = candidates.filter(candidate => !candidate.used).map(candidate => candidate.source);
+
+      const counts = { hit: 0, wrong: 0, miss: 0, extra: extra.length, early: 0, late: 0 };
+      var points = 0;
+      var totalOffset = 0;
+
+      for(var i = 0; i < notes.length; ++i)
+      {
+         const note = notes[i];
+         counts[note.status] += 1;
+
+         if(note.status == "hit")
+         {
+            totalOffset += Math.abs(note.offset);
+            points += note.timing == "onTime" ? 1 : 0.5;
+
+            if(note.timing != "onTime")
+            {
+               counts[note.timing] += 1;
+            }
+         }
+      }
+
+      const total = notes.length + extra.length;
+
+      return {
+         notes: notes,
+         extra: extra,
+         counts: counts,
+         meanOffset: counts.hit > 0 ? totalOffset / counts.hit : 0,
+         accuracy: total > 0 ? points / total : 1
+      };
+   }
+
+   /*
+      Empareja las notas esperadas todavía libres de "notes" con las notas tocadas libres de "candidates" que están dentro de la ventana, ambas ordenadas por tiempo.
+      Se consideran todos los pares posibles y se asignan de menor a mayor diferencia de tiempo, para que una nota tocada no quede asignada a una nota esperada vecina cuando le corresponde mejor a otra. A igual diferencia, tiene prioridad la nota esperada anterior.
+      Si "samePitch" es true, solo se consideran las notas tocadas de la misma altura.
+   */
+   match(notes, candidates, samePitch)
+   {
+      const pairs = [];
+      var first = 0;
+
+      for(var i = 0; i < notes.length; ++i)
+      {
+         const note = notes[i];
+
+         if(note.played != null)
+         {
+            continue;
+         }
+
+         while(first < candidates.length && candidates[first].time < note.time - this.window)
+         {
+            first += 1;
+         }
+
+         for(var j = first; j < candidates.length && candidates[j].time <= note.time + this.window; ++j)
+         {
+            const candidate = candidates[j];
+
+            if(!candidate.used && (!samePitch || candidate.midi == note.midi))
+            {
+               pairs.push({ note: note, candidate: candidate, distance: Math.abs(candidate.time - note.time) });
+            }
+         }
+      }
+
+      pairs.sort((a, b) => a.distance - b.distance);
+
+      for(var i = 0; i < pairs.length; ++i)
+      {
+         if(pairs[i].note.played == null && !pairs[i].candidate.used)
+         {
+            this.assign(pairs[i].note, pairs[i].candidate, samePitch);
+         }
+      }
+   }
+
+   /*
+      Asigna a la nota esperada "note" la nota tocada "candidate" y clasifica la diferencia de tiempo.
+   */
+   assign(note, candidate, samePitch)
+   {
+      candidate.used = true;
+
+      note.status = samePitch ? "hit" : "wrong";
+      note.played = candidate.source;
+      note.offset = candidate.time - note.time;
+
+      if(Math.abs(note.offset) <= this.tolerance)
+      {
+         note.timing = "onTime";
+      }
+      else
+      {
+         note.timing = note.offset < 0 ? "early" : "late";
+      }
+   }
+
+   /*
+      Valida una nota tocada y la convierte en un candidato para emparejar. "index" es su posición en el arreglo y se incluye en los mensajes de error.
+   */
+   readPlayedNote(note, index)
+   {
+      if(typeof note != "object" || note == null || typeof note.time != "number" || isNaN(note.time))
+      {
+         throw `la nota tocada ${index} debe ser un objeto con un tiempo ("time") numérico`;
+      }
+
+      var midi = note.midi;
+      if(midi === undefined)
+      {
+         if(!Number.isInteger(note.note) || note.note < 0 || note.note > 11 || !Number.isInteger(note.octave))
+         {
+            throw `la nota tocada ${index} debe tener un número de nota MIDI ("midi") o una nota y una octava ("note" y "octave")`;
+         }
+
+         midi = note.note + (note.octave + 2) * 12;
+      }
+      else if(!Number.isInteger(midi))
+      {
+         throw `la nota tocada ${index} debe tener un número de nota MIDI ("midi") entero`;
+      }
+
+      return {
+         time: note.time,
+         midi: midi,
+         source: note,
+         used: false
+      };
+   }
+};
+
+class AnimatedScore
+{
+   /*
+      "args" debe ser un objeto con los siguientes campos:
+         > containerId: (string) id del elemento que contendrá el <canvas> de la partitura.
+         > framerate: (number) (opcional) cantidad máxima de cuadros por segundo. Por defecto es 60.
+         > playingVelocity: (number) (opcional) velocidad en pixeles/segundo de la animación, por defecto se establece en 200 pixeles/segundo. No afecta a la duración de las notas.
+         > grandStaff: (boolean) (opcional) si es verdadero, la partitura tiene dos pentagramas unidos por una llave, con clave de sol y clave de fa. Por defecto es falso.
+         > audio: (boolean | object) (opcional) si es verdadero, las notas se reproducen con Web Audio mientras dura la animación. Si es un objeto, se usa como opciones de AudioEngine. Por defecto no se reproduce sonido.
+         > clock: (object) (opcional) reloj que marca el instante de la pieza, como PerformanceClock, AudioContextClock, MediaClock o ManualClock. Por defecto se usa PerformanceClock, o AudioContextClock si el audio está activo.
+         > theme: (object) (opcional) colores, tamaño del pentagrama, margen y estilo de la línea de reproducción. Ver "setTheme".
+   */
+   constructor(args)
+   {
+      if(typeof args != "object")
+      {
+         throw "args debe ser un objeto";
+      }
+
+      if(typeof args.containerId != "string")
+      {
+         throw "args.containerId debe ser un string";
+      }
+
+      if(typeof args.playingVelocity == "number")
+      {
+         this.velocity = args.playingVelocity;
+      }
+      else
+      {
+         this.velocity = 200;
+      }
+
+      if(typeof args.framerate == "number" && args.framerate > 0)
+      {
+         this.framerate = args.framerate;
+      }
+      else
+      {
+         this.framerate = 60;
+      }
+
+      /*
+         Las figuras se dibujan con trazos vectoriales. Opcionalmente, "args.images" puede reemplazar algunas de ellas por imágenes.
+      */
+      this.imgs = {};
+      if(args.images !== undefined)
+      {
+         this.loadImages(args.images);
+      }
+
+      this.audio = null;
+      if(args.audio === true || (typeof args.audio == "object" && args.audio != null))
+      {
+         this.audio = new AudioEngine(args.audio === true ? {} : args.audio);
+      }
+
+      if(this.isClock(args.clock))
+      {
+         this.clock = args.clock;
+      }
+      else if(this.audio != null)
+      {
+         /*
+            El contexto de audio se crea recién en "start", así que el reloj lo recibe en ese momento si no se indicó uno en las opciones.
+         */
+         this.clock = new AudioContextClock(this.audio.context);
+      }
+      else
+      {
+         this.clock = new PerformanceClock();
+      }
+
+      /*
+         Cantidad de pentagramas de la partitura.
+      */
+      this.staffCount = args.grandStaff === true ? 2 : 1;
+
+      this.scoreContainer = document.getElementById(args.containerId);
+      if(this.scoreContainer == null)
+      {
+         throw "no se encontró ningún elemento con id " + args.containerId;
+      }
+
+      /*
+         "canvasPadding" es el margen superior del pentagrama y "canvasPaddingBottom" el inferior.
+         Ambos crecen al cargar las notas si alguna de ellas se aleja demasiado del pentagrama.
+      */
+      this.minCanvasPadding = 20;
+      this.canvasPadding = this.minCanvasPadding;
+      this.canvasPaddingBottom = this.minCanvasPadding;
+      this.scoreHeight = 29;
+
+      /*
+         Distancia mínima entre la última línea de un pentagrama y la primera del siguiente.
+      */
+      this.minStaffGap = 40;
+
+      /*
+         Dimensiones de cada pentagrama. "scoreDimensions" apunta a las del pentagrama en el que se está generando.
+      */
+      this.staffDimensions = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         this.staffDimensions.push(new ScoreDimensions(this.scoreHeight, this.canvasPadding + i * (this.scoreHeight + this.minStaffGap)));
+      }
+
+      this.scoreDimensions = this.staffDimensions[0];
+
+      /*
+         Tema visual: las opciones indicadas por el usuario ("themeOptions") y el tema completo que resulta de combinarlas con la paleta clara u oscura.
+         Todas las medidas de la partitura se expresan para un espacio de 7 pixeles entre líneas; "scale" las lleva al tamaño de "staffSpace".
+      */
+      this.themeOptions = {};
+      this.updateTheme(args.theme !== undefined ? args.theme : {});
+
+      /*
+         Creación del canvas.
+         Su ancho será igual al ancho del contenedor ("containerWidth", en pixeles CSS). "width" y "height" son las dimensiones en medidas de la partitura, con las que se hacen todos los cálculos; el búfer del canvas se multiplica por "scale" y por "pixelRatio" para que la partitura se vea nítida en pantallas de alta densidad.
+      */
+      this.canvas = document.createElement("canvas");
+
+      const containerDimensions = this.scoreContainer.getBoundingClientRect();
+      this.containerWidth = Math.floor(containerDimensions.width);
+      this.width = this.containerWidth / this.scale;
+      this.height = this.staffDimensions[this.staffCount - 1].padding + this.scoreHeight + this.canvasPaddingBottom;
+      this.pixelRatio = this.getPixelRatio();
+      this.canvas.style.backgroundColor = this.theme.background;
+      this.canvas.style.display = "block";
+
+      this.scoreContainer.appendChild(this.canvas);
+
+      this.context = this.canvas.getContext("2d");
+
+      /*
+         Duración en segundos de las notas a 120 pulsaciones de negra por minuto.
+         El orden va desde la redonda hasta la semifusa.
+         Por supuesto, estos valores son fácilmente calculables, pero creo más conveniente tenerlos a disposición sin recurrir a cálculos que puedan entorpezer el código.
+      */
+      this.noteDuration = [
+         2, 1, 0.5, 0.25, 0.125, 0.0625, 0.03125
+      ];
+
+      /*
+         Duración de cada nota en términos de una semifusa.
+         El orden va desde la redonda hasta la semifusa.
+      */
+      this.noteFraqDuration = [
+         64, 32, 16, 8, 4, 2, 1
+      ];
+
+      /*
+         Posición vertical en el pentagrama de cada una de las 12 notas.
+         Las posiciones son relativas y dependen de la clave usada.
+         Las teclas negras se ubican en la posición de la nota natural que alteran, según se escriban como sostenido o como bemol.
+      */
+      this.noteVerticalPos = [
+         0, 0, 1, 1, 2, 3, 3, 4, 4, 5, 5, 6
+      ];
+
+      this.noteVerticalPosFlat = [
+         0, 1, 1, 2, 2, 3, 4, 4, 5, 5, 6, 6
+      ];
+
+      /*
+         Indica cuáles de las 12 notas son teclas negras.
+      */
+      this.blackKeys = [
+         false, true, false, true, false, false, true, false, true, false, true, false
+      ];
+
+      this.noteSymbols = [
+         [
+            new NoteSymbol(this.getImage("note-1"), 6, this.noteDuration[0]),
+            new NoteSymbol(this.getImage("note-1"), 6, this.noteDuration[0]),
+         ],
+         [
+            new NoteSymbol(this.getImage("note-2"), 26, this.noteDuration[1], "up"),
+            new NoteSymbol(this.getImage("note-2t"), 6, this.noteDuration[1], "down"),
+         ],
+         [
+            new NoteSymbol(this.getImage("note-4"), 26, this.noteDuration[2], "up"),
+            new NoteSymbol(this.getImage("note-4t"), 6, this.noteDuration[2], "down"),
+         ],
+         [
+            new NoteSymbol(this.getImage("note-8"), 26, this.noteDuration[3], "up"),
+            new NoteSymbol(this.getImage("note-8t"), 6, this.noteDuration[3], "down"),
+         ],
+         [
+            new NoteSymbol(this.getImage("note-16"), 26, this.noteDuration[4], "up"),
+            new NoteSymbol(this.getImage("note-16t"), 6, this.noteDuration[4], "down"),
+         ],
+         [
+            new NoteSymbol(this.getImage("note-32"), 26, this.noteDuration[5], "up"),
+            new NoteSymbol(this.getImage("note-32t"), 6, this.noteDuration[5], "down"),
+         ],
+         [
+            new NoteSymbol(this.getImage("note-64"), 26, this.noteDuration[6], "up"),
+            new NoteSymbol(this.getImage("note-64t"), 6, this.noteDuration[6], "down"),
+         ],
+         [
+            new NoteSymbol(this.getImage("note-base"), 6, 0),
+            new NoteSymbol(this.getImage("note-base"), 6, 0)
+         ]
+      ];
+
+      /*
+         Establece el tiempo en milisegundos en el que se debe reproducir una nota.
+         Este tiempo se utiliza para ubicar la nota horizontalmente en el pentagrama.
+      */
+      this.noteTime = [];
+
+      /*
+         Cambios de tempo de la pieza, comunes a todos los pentagramas.
+      */
+      this.tempoMap = [];
+
+      this.visualNotes = [];
+
+      /*
+         Acciones de la pieza cargada y sus metadatos, para poder guardarla.
+      */
+      this.musicActions = [];
+      this.metadata = {};
+
+      /*
+         Notas y acordes de la pieza ordenados por tiempo, con la acción original, su tiempo de inicio y su duración en milisegundos, su pentagrama y sus notas visuales.
+      */
+      this.scoreNotes = [];
+
+      /*
+         Duración total de la pieza en milisegundos.
+      */
+      this.totalTime = 0;
+
+      /*
+         Eventos de sonido de la pieza. Las notas ligadas forman un único evento.
+      */
+      this.audioEvents = [];
+
+      this.quaverSections = [];
+      this.noteLines = [];
+
+      this.firstLine = 0;
+      this.lastLine = 0;
+
+      this.ties = [];
+
+      this.firstTie = 0;
+      this.lastTie = 0;
+
+      this.barlines = [];
+
+      this.firstBarline = 0;
+      this.lastBarline = 0;
+
+      /*
+         Indicaciones de tempo que se dibujan sobre el pentagrama superior.
+      */
+      this.tempoMarks = [];
+
+      this.firstTempoMark = 0;
+      this.lastTempoMark = 0;
+
+      /*
+         Casillas de repetición, que se dibujan sobre el pentagrama superior.
+      */
+      this.voltas = [];
+
+      this.firstVolta = 0;
+      this.lastVolta = 0;
+
+      /*
+         Región que se repite indefinidamente, con sus instantes de inicio y final en milisegundos, o null si no hay ninguna.
+      */
+      this.loop = null;
+
+      /*
+         Instante de inicio de cada compás del pentagrama superior, a partir del primer cambio de compás.
+      */
+      this.measures = [];
+
+      /*
+         Cambios de compás de cada pentagrama y el índice del compás actual de cada uno, o -1 si todavía no hay ninguno.
+      */
+      this.timeSignatures = [];
+      this.lastTimeSignature = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         this.timeSignatures.push([]);
+         this.lastTimeSignature.push(-1);
+      }
+
+      /*
+         Cambios de armadura de cada pentagrama y el índice de la armadura actual de cada uno.
+      */
+      this.keySignatures = [];
+      this.lastKeySignature = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         this.keySignatures.push([{ fifths: 0, time: 0 }]);
+         this.lastKeySignature.push(0);
+      }
+
+      /*
+         Cambios de tempo de cada pentagrama y el índice del tempo actual de cada uno, o -1 si todavía no hay ninguno.
+         En los cambios graduales, "tempo" es el tempo inicial y "to" el final; en los demás, ambos son iguales.
+      */
+      this.tempoChanges = [];
+      this.lastTempoChange = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         this.tempoChanges.push([]);
+         this.lastTempoChange.push(-1);
+      }
+
+      /*
+         Ancho del área fija de la izquierda, donde se dibujan la clave, la armadura y el compás. "clefAreaWidth" es la parte que ocupan la llave y la clave.
+      */
+      this.clefAreaWidth = 52;
+      this.clavierAreaWidth = this.clefAreaWidth;
+      this.keyAreaWidth = 0;
+
+      /*
+         Orden en el que se agregan los sostenidos y los bemoles a la armadura, como nombres de nota (0 para do, 1 para re, ..., 6 para si).
+      */
+      this.sharpOrder = [3, 0, 4, 1, 5, 2, 6];
+      this.flatOrder = [6, 2, 5, 1, 4, 0, 3];
+
+      /*
+         Posición vertical de cada alteración de la armadura según la clave.
+      */
+      this.keySignaturePos = {
+         g: { sharp: [8, 5, 9, 6, 3, 7, 4], flat: [4, 7, 3, 6, 2, 5, 1] },
+         g8vb: { sharp: [8, 5, 9, 6, 3, 7, 4], flat: [4, 7, 3, 6, 2, 5, 1] },
+         f: { sharp: [6, 3, 7, 4, 1, 5, 2], flat: [2, 5, 1, 4, 0, 3, -1] },
+         alto: { sharp: [7, 4, 8, 5, 2, 6, 3], flat: [3, 6, 2, 5, 1, 4, 0] },
+         tenor: { sharp: [2, 6, 3, 7, 4, 8, 5], flat: [5, 8, 4, 7, 3, 6, 2] }
+      };
+
+      this.currentQuavSect = [];
+      this.lastSect = 0;
+
+      /*
+         Cambios de clave de cada pentagrama y el índice de la clave actual de cada uno.
+      */
+      this.claviers = [];
+      this.lastClavier = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         this.claviers.push([]);
+         this.lastClavier.push(0);
+      }
+
+      /*
+         Línea del pentagrama (en posiciones verticales) sobre la que se centra cada clave de do.
+      */
+      this.cClavierPos = {
+         alto: 4,
+         tenor: 6
+      };
+
+      this.playerLinePos = this.width / 2;
+
+      /*
+         Posición de la línea de reproducción con la que se ubicaron las notas de la pieza actual. Si el canvas cambia de tamaño, la diferencia con "playerLinePos" se compensa en el desplazamiento.
+      */
+      this.layoutPlayerLinePos = this.playerLinePos;
+
+      this.loopID = 0;
+      this.loopCallback = this.mainLoop.bind(this);
+      this.lastFrame = 0;
+      this.status = "stopped";
+
+      /*
+         Desplazamiento horizontal ocasionado por el paso del tiempo.
+      */
       this.dx = 0;
 
-      /*
-         Rango de notas que se deben dibujar.
-      */
-      this.firstNote = 0;
-      this.lastNote = 0;
+      /*
+         Rango de notas que se deben dibujar.
+      */
+      this.firstNote = 0;
+      this.lastNote = 0;
+
+      this.timeSinceStart = 0;
+
+      this.applyCanvasSize();
+
+      /*
+         Si ya se emitió el evento "end" desde la última vez que se cambió la posición.
+      */
+      this.ended = false;
+
+      /*
+         Funciones registradas para cada evento de la animación.
+      */
+      this.listeners = {
+         noteon: [],
+         noteoff: [],
+         clefchange: [],
+         tempochange: [],
+         play: [],
+         pause: [],
+         stop: [],
+         end: [],
+         loop: [],
+         wait: [],
+         input: []
+      };
+
+      /*
+         Índice en "scoreNotes" de la próxima nota que llegará a la línea de reproducción y notas que están sonando.
+      */
+      this.nextScoreNote = 0;
+      this.activeScoreNotes = [];
+
+      /*
+         Estado del modo de práctica:
+            > enabled: si la animación se detiene en cada nota hasta que se toquen sus alturas.
+            > steps: las notas y los acordes que se deben tocar, agrupados por instante de inicio.
+            > next: índice en "steps" del próximo grupo que se debe tocar.
+            > pressed: alturas correctas del próximo grupo que ya se tocaron.
+            > waiting: si la animación está detenida esperando el próximo grupo.
+      */
+      this.practice = {
+         enabled: false,
+         steps: [],
+         next: 0,
+         pressed: [],
+         waiting: false,
+         correctColor: "#2e9e3e",
+         wrongColor: "#d62828"
+      };
+
+      /*
+         Fuentes de notas conectadas y función que reciben para informar cada nota tocada.
+      */
+      this.inputs = [];
+      this.inputCallback = (note, octave) => this.pressNote(note, octave);
+
+      /*
+         Notas tocadas con "pressNote" mientras la animación está en curso, con su tiempo en la pieza.
+      */
+      this.playedNotes = [];
+
+      /*
+         Resultado de la última evaluación que se muestra en la partitura y color de cada estado.
+      */
+      this.performance = {
+         result: null,
+         marks: null,
+         colors: {
+            hit: "#2e9e3e",
+            early: "#e08a00",
+            late: "#e08a00",
+            wrong: "#d62828",
+            miss: "#9e9e9e"
+         }
+      };
+
+      /*
+         Resaltado de las notas según el instante actual:
+            > active: si las notas que están sonando se dibujan con el color "highlightColor" del tema.
+            > played: si las notas que ya sonaron se dibujan con el color "playedColor" del tema.
+            > glow: si las notas que están sonando se dibujan con un brillo alrededor.
+            > progress: si debajo de las notas que están sonando se dibuja una barra que se llena a medida que transcurren.
+            > notes: notas de "scoreNotes" que están sonando.
+            > next: índice en "scoreNotes" de la próxima nota que comenzará a sonar.
+      */
+      this.highlight = {
+         active: true,
+         played: true,
+         glow: false,
+         progress: false,
+         notes: [],
+         next: 0
+      };
+
+      /*
+         El canvas se ajusta al ancho del contenedor cada vez que este cambia de tamaño.
+      */
+      this.resizeObserver = null;
+      if(typeof ResizeObserver != "undefined")
+      {
+         this.resizeObserver = new ResizeObserver(() => this.resize());
+         this.resizeObserver.observe(this.scoreContainer);
+      }
+   }
+
+   /*
+      Registra la función "listener" para el evento "type". Los eventos son:
+         > noteon: una nota o un acorde llega a la línea de reproducción.
+         > noteoff: termina la duración de una nota o un acorde.
+         > clefchange: cambia la clave de un pentagrama.
+         > tempochange: cambia el tempo de un pentagrama.
+         > play, pause y stop: se inicia, se pausa o se detiene la animación.
+         > end: la última nota termina de sonar. La animación continúa hasta que la última nota sale de la pantalla y luego se detiene.
+         > loop: la animación vuelve al comienzo de la región que se repite.
+         > wait: en el modo de práctica, la animación se detiene hasta que se toque la nota o el acorde que llegó a la línea de reproducción.
+         > input: en el modo de práctica, se toca una nota.
+      La función recibe un objeto con el nombre del evento ("type") y sus datos:
+         > noteon y noteoff: la acción original ("note"), su índice en orden de tiempo ("index"), su tiempo de inicio ("time") y su pentagrama ("staff").
+         > clefchange: el pentagrama ("staff") y la nueva clave ("clef").
+         > tempochange: el pentagrama ("staff"), el tempo ("tempo") y, en los cambios graduales, el tempo final ("to").
+         > play, pause, stop, end y loop: el instante actual de la animación ("time").
+         > wait: el índice en orden de tiempo de la primera nota esperada ("index") y su tiempo de inicio ("time").
+         > input: la nota ("note") y la octava ("octave") tocadas, si es correcta ("correct") y el índice en orden de tiempo de la primera nota esperada ("index").
+   */
+   on(type, listener)
+   {
+      if(this.listeners[type] == undefined)
+      {
+         throw `el evento ${type} no existe`;
+      }
+
+      if(typeof listener != "function")
+      {
+         throw "listener debe ser una función";
+      }
+
+      this.listeners[type].push(listener);
+   }
+
+   /*
+      Quita la función "listener" del evento "type".
+   */
+   off(type, listener)
+   {
+      if(this.listeners[type] == undefined)
+      {
+         return;
+      }
+
+      const index = this.listeners[type].indexOf(listener);
+      if(index != -1)
+      {
+         this.listeners[type].splice(index, 1);
+      }
+   }
+
+   emit(type, detail)
+   {
+      const event = Object.assign({ type: type }, detail);
+      const listeners = this.listeners[type].slice();
+
+      for(var i = 0; i < listeners.length; ++i)
+      {
+         listeners[i](event);
+      }
+   }
+
+   /*
+      Reemplaza el reloj que marca el instante de la pieza. Si la animación está en curso, el nuevo reloj continúa desde el instante actual.
+   */
+   setClock(clock)
+   {
+      if(!this.isClock(clock))
+      {
+         throw "clock debe tener los métodos start, pause y getTime";
+      }
+
+      if(this.status == "playing")
+      {
+         this.clock.pause();
+         clock.start(this.timeSinceStart);
+      }
+
+      this.clock = clock;
+   }
+
+   isClock(clock)
+   {
+      return typeof clock == "object" && clock != null &&
+         typeof clock.start == "function" && typeof clock.pause == "function" && typeof clock.getTime == "function";
+   }
+
+   /*
+      Carga las imágenes de "images", un objeto cuyas claves son los nombres de las figuras y cuyos valores son imágenes (<img>, <canvas>, ImageBitmap, etc.) o URLs.
+      Los nombres son "note-1", "note-2", "note-4", "note-8", "note-16", "note-32" y "note-64" para las figuras con la plica hacia arriba, los mismos terminados en "t" para las figuras con la plica hacia abajo, "note-base" para la cabeza de las notas unidas por barras y "g-clavier" y "f-clavier" para las claves.
+   */
+   loadImages(images)
+   {
+      if(typeof images != "object" || images == null)
+      {
+         throw "args.images debe ser un objeto";
+      }
+
+      const names = [
+         "note-1", "note-2", "note-2t", "note-4", "note-4t", "note-8", "note-8t", "note-16", "note-16t",
+         "note-32", "note-32t", "note-64", "note-64t", "note-base", "f-clavier", "g-clavier"
+      ];
+
+      for(var name in images)
+      {
+         if(names.indexOf(name) == -1)
+         {
+            throw `args.images: la figura "${name}" no existe`;
+         }
+
+         var img = images[name];
+
+         if(typeof img == "string")
+         {
+            const url = img;
+            img = new Image();
+
+            /*
+               Si ya hay una pieza cargada, se vuelve a dibujar cuando la imagen termina de cargarse.
+            */
+            img.addEventListener("load", () => {
+               if(this.claviers[0].length > 0)
+               {
+                  this.draw();
+               }
+            });
+
+            img.src = url;
+         }
+         else if(typeof img != "object" || img == null)
+         {
+            throw `args.images: la figura "${name}" debe ser una imagen o una URL`;
+         }
+
+         this.imgs[name] = img;
+      }
+   }
+
+   /*
+      Devuelve la imagen de la figura "name", o null si se dibuja con trazos vectoriales.
+   */
+   getImage(name)
+   {
+      return this.imgs[name] != undefined ? this.imgs[name] : null;
+   }
+
+   getPixelRatio()
+   {
+      return typeof window != "undefined" && window.devicePixelRatio > 0 ? window.devicePixelRatio : 1;
+   }
+
+   /*
+      Dimensiona el búfer del canvas según "width", "height", "scale", "pixelRatio" y el margen del tema. Cambiar el tamaño del canvas borra su contenido.
+   */
+   applyCanvasSize()
+   {
+      const height = this.height * this.scale + 2 * this.theme.padding;
+
+      this.canvas.width = Math.round(this.containerWidth * this.pixelRatio);
+      this.canvas.height = Math.round(height * this.pixelRatio);
+      this.canvas.style.width = `${this.containerWidth}px`;
+      this.canvas.style.height = `${height}px`;
+
+      this.resetTransform();
+      this.context.translate(-this.dx, 0);
+   }
+
+   /*
+      Lleva el contexto a las medidas de la partitura, sin desplazamiento horizontal, dejando el margen del tema por encima.
+   */
+   resetTransform()
+   {
+      const scale = this.scale * this.pixelRatio;
+      this.context.setTransform(scale, 0, 0, scale, 0, this.theme.padding * this.pixelRatio);
+   }
+
+   /*
+      Ajusta el canvas al ancho actual del contenedor y a la densidad de pixeles de la pantalla. Se llama automáticamente cuando el contenedor cambia de tamaño si el navegador tiene ResizeObserver.
+      La línea de reproducción se mantiene en el centro y la pieza continúa desde el mismo instante.
+   */
+   resize()
+   {
+      const width = Math.floor(this.scoreContainer.getBoundingClientRect().width);
+      const pixelRatio = this.getPixelRatio();
+
+      if(width == this.containerWidth && pixelRatio == this.pixelRatio)
+      {
+         return;
+      }
+
+      this.containerWidth = width;
+      this.pixelRatio = pixelRatio;
+      this.refreshCanvas();
+   }
+
+   /*
+      Recalcula el ancho en medidas de la partitura, la línea de reproducción y los elementos visibles, y vuelve a dibujar desde el instante actual.
+   */
+   refreshCanvas()
+   {
+      this.width = this.containerWidth / this.scale;
+      this.playerLinePos = this.width / 2;
+      this.applyCanvasSize();
+
+      if(this.claviers[0].length == 0)
+      {
+         return;
+      }
+
+      const claviers = this.lastClavier.slice();
+      const tempoChanges = this.lastTempoChange.slice();
+
+      this.scrollTo(this.timeSinceStart);
+      this.updateVisibleRanges();
+      this.emitChanges(claviers, tempoChanges);
+      this.draw();
+   }
+
+   /*
+      Devuelve el tema por defecto, con la paleta oscura si "dark" es verdadero.
+   */
+   getDefaultTheme(dark)
+   {
+      return {
+         dark: dark,
+         background: dark ? "#1e1e1e" : "white",
+         color: dark ? "#e6e6e6" : "black",
+         staffColor: dark ? "#8c8c8c" : "black",
+         playerLineColor: dark ? "#4da3ff" : "blue",
+         playerLineWidth: 2,
+         playerLineDash: [],
+         highlightColor: dark ? "#ffa94d" : "#e8590c",
+         playedColor: dark ? "#5a5a5a" : "#a0a0a0",
+         staffSpace: 7,
+         padding: 0
+      };
+   }
+
+   /*
+      Cambia el tema visual y vuelve a dibujar la partitura sin perder el instante actual. "theme" es un objeto con cualquiera de estos campos:
+         > dark: (boolean) si es verdadero, los colores que no se indiquen se toman de la paleta oscura.
+         > background: (string) color del fondo.
+         > color: (string) color de las notas, los silencios, las claves, las barras de compás y los textos.
+         > staffColor: (string) color de las líneas del pentagrama.
+         > playerLineColor: (string) color de la línea de reproducción.
+         > playerLineWidth: (number) grosor de la línea de reproducción, en pixeles.
+         > playerLineDash: (array) patrón de guiones de la línea de reproducción, como en "setLineDash". Un arreglo vacío dibuja una línea continua.
+         > highlightColor: (string) color de las notas que están sonando. Ver "setHighlight".
+         > playedColor: (string) color de las notas que ya sonaron.
+         > staffSpace: (number) distancia en pixeles entre dos líneas del pentagrama. Todas las figuras y distancias se escalan en proporción. Por defecto es 7.
+         > padding: (number) margen en pixeles por encima y por debajo de la partitura.
+      Los campos se combinan con los de llamadas anteriores. Un campo null vuelve a su valor por defecto.
+   */
+   setTheme(theme)
+   {
+      this.updateTheme(theme);
+
+      this.canvas.style.backgroundColor = this.theme.background;
+      this.applyThemeColors();
+      this.refreshCanvas();
+   }
+
+   /*
+      Valida y combina "theme" con las opciones anteriores, y recalcula "theme" y "scale". Si alguna opción no es válida, no se modifica nada.
+   */
+   updateTheme(theme)
+   {
+      if(typeof theme != "object" || theme == null)
+      {
+         throw "theme debe ser un objeto";
+      }
+
+      const defaults = this.getDefaultTheme(false);
+
+      for(var key in theme)
+      {
+         const value = theme[key];
+
+         if(!(key in defaults))
+         {
+            throw `theme: la opción "${key}" no existe`;
+         }
+
+         if(value == null)
+         {
+            continue;
+         }
+
+         switch(key)
+         {
+         case "dark":
+            if(typeof value != "boolean")
+            {
+               throw "theme.dark debe ser un booleano";
+            }
+            break;
+
+         case "staffSpace":
+         case "playerLineWidth":
+            if(typeof value != "number" || !(value > 0))
+            {
+               throw `theme.${key} debe ser un número mayor a 0`;
+            }
+            break;
+
+         case "padding":
+            if(typeof value != "number" || !(value >= 0))
+            {
+               throw "theme.padding debe ser un número mayor o igual a 0";
+            }
+            break;
+
+         case "playerLineDash":
+            if(!(value instanceof Array) || value.some(length => typeof length != "number" || !(length >= 0)))
+            {
+               throw "theme.playerLineDash debe ser un arreglo de números";
+            }
+            break;
+
+         default:
+            if(typeof value != "string")
+            {
+               throw `theme.${key} debe ser un color`;
+            }
+         }
+      }
+
+      for(var key in theme)
+      {
+         if(theme[key] == null)
+         {
+            delete this.themeOptions[key];
+         }
+         else
+         {
+            this.themeOptions[key] = theme[key];
+         }
+      }
+
+      this.theme = Object.assign(this.getDefaultTheme(this.themeOptions.dark === true), this.themeOptions);
+      this.scale = this.theme.staffSpace / 7;
+   }
+
+   /*
+      Aplica el color del tema a todos los elementos de la pieza cargada, según el estado de cada nota. Las marcas del modo de práctica y de la evaluación se conservan.
+   */
+   applyThemeColors()
+   {
+      const color = this.theme.color;
+
+      const lists = [this.noteLines, this.quaverSections, this.ties, this.barlines, this.tempoMarks, this.voltas];
+      for(var i = 0; i < lists.length; ++i)
+      {
+         for(var j = 0; j < lists[i].length; ++j)
+         {
+            lists[i][j].color = color;
+         }
+      }
+
+      for(var i = 0; i < this.visualNotes.length; ++i)
+      {
+         if(this.visualNotes[i] instanceof VisualNote)
+         {
+            this.paintVisualNote(this.visualNotes[i]);
+         }
+         else
+         {
+            this.visualNotes[i].setColor(color);
+         }
+      }
+   }
+
+   start()
+   {
+      if(this.status != "playing")
+      {
+         /*
+            Cada reproducción desde el comienzo es una nueva interpretación.
+         */
+         if(this.status == "stopped")
+         {
+            this.playedNotes = [];
+         }
+
+         this.status = "playing";
+
+         if(this.audio != null)
+         {
+            this.audio.resume();
+
+            if(this.clock instanceof AudioContextClock && this.clock.context == null)
+            {
+               this.clock.context = this.audio.context;
+            }
+         }
+
+         this.clock.start(this.timeSinceStart);
+         this.lastFrame = 0;
+         this.loopID = requestAnimationFrame(this.loopCallback);
+
+         if(this.audio != null)
+         {
+            this.audio.play(this.timeSinceStart);
+         }
+
+         this.emit("play", { time: this.timeSinceStart });
+      }
+   }
+
+   pause()
+   {
+      this.status = "paused";
+      cancelAnimationFrame(this.loopID);
+      this.clock.pause();
+
+      /*
+         Si el modo de práctica estaba esperando una nota, la espera comienza de nuevo al reanudar la animación.
+      */
+      this.practice.waiting = false;
+
+      if(this.audio != null)
+      {
+         this.audio.pause();
+      }
+
+      this.emit("pause", { time: this.timeSinceStart });
+   }
+
+   stop()
+   {
+      this.status = "stopped";
+      cancelAnimationFrame(this.loopID);
+      this.clock.pause();
+      this.reset();
+
+      if(this.audio != null)
+      {
+         this.audio.stop();
+      }
+
+      this.emit("stop", { time: this.timeSinceStart });
+   }
+
+   /*
+      Reproduce la pieza completa sin animación, en un OfflineAudioContext.
+      Devuelve una promesa que se resuelve con el AudioBuffer resultante.
+   */
+   renderAudio(sampleRate)
+   {
+      const engine = new AudioEngine(this.audio != null ? {
+         samples: this.audio.samples,
+         volume: this.audio.volume,
+         waveform: this.audio.waveform
+      } : {});
+
+      engine.setEvents(this.audioEvents);
+
+      return engine.render(sampleRate);
+   }
+
+   /*
+      Igual que "renderAudio", pero la promesa se resuelve con un ArrayBuffer que contiene un archivo WAV.
+   */
+   renderWAV(sampleRate)
+   {
+      return this.renderAudio(sampleRate).then(buffer => AudioEngine.encodeWAV(buffer));
+   }
+
+   reset()
+   {
+      this.setPosition(0);
+      this.draw();
+   }
+
+   /*
+      Mueve la animación al instante "time" de la pieza, en milisegundos, hacia adelante o hacia atrás.
+      Si la animación está en curso, continúa desde ese instante.
+   */
+   seek(time)
+   {
+      if(typeof time != "number" || isNaN(time))
+      {
+         throw "time debe ser un número";
+      }
+
+      time = Math.max(0, Math.min(this.totalTime, time));
+
+      const claviers = this.lastClavier.slice();
+      const tempoChanges = this.lastTempoChange.slice();
+
+      this.setPosition(time);
+      this.emitChanges(claviers, tempoChanges);
+
+      if(this.status == "playing")
+      {
+         this.clock.start(time);
+
+         if(this.audio != null)
+         {
+            this.audio.play(time);
+         }
+      }
+      else if(this.status == "stopped" && time > 0)
+      {
+         this.status = "paused";
+      }
+
+      this.draw();
+   }
+
+   /*
+      Mueve la animación al instante en que comienza la nota o el acorde número "index" de la pieza, contando en orden de tiempo desde 0.
+   */
+   seekToNote(index)
+   {
+      if(!Number.isInteger(index) || index < 0 || index >= this.scoreNotes.length)
+      {
+         throw `index debe ser un número entero entre 0 y ${this.scoreNotes.length - 1}`;
+      }
+
+      this.seek(this.scoreNotes[index].time);
+   }
+
+   /*
+      Instante actual de la animación, en milisegundos.
+   */
+   get currentTime()
+   {
+      return this.timeSinceStart;
+   }
+
+   /*
+      Duración total de la pieza, en milisegundos.
+   */
+   get duration()
+   {
+      return this.totalTime;
+   }
+
+   /*
+      Fracción de la pieza que ya se reprodujo, de 0 a 1.
+   */
+   get progress()
+   {
+      return this.totalTime > 0 ? Math.min(1, this.timeSinceStart / this.totalTime) : 0;
+   }
+
+   /*
+      Ubica la animación en el instante "time" y reconstruye los rangos de elementos visibles desde el comienzo de la pieza.
+   */
+   setPosition(time)
+   {
+      this.scrollTo(time);
+      this.ended = false;
+
+      /*
+         Las notas que estaban sonando se terminan y se continúa desde la primera nota que comienza a partir de "time".
+      */
+      for(var i = 0; i < this.activeScoreNotes.length; ++i)
+      {
+         this.emitScoreNote("noteoff", this.activeScoreNotes[i]);
+      }
+
+      this.activeScoreNotes = [];
+      this.nextScoreNote = 0;
+      while(this.nextScoreNote < this.scoreNotes.length && this.scoreNotes[this.nextScoreNote].time < time)
+      {
+         this.nextScoreNote += 1;
+      }
+
+      this.resetPractice(time);
+      this.applyPerformanceMarks();
+      this.resetNoteStates(time);
+
+      this.updateVisibleRanges();
+   }
+
+   /*
+      Recalcula desde cero los rangos de elementos visibles y las claves, armaduras, compases y tempos vigentes para el desplazamiento actual.
+   */
+   updateVisibleRanges()
+   {
+      this.firstNote = 0;
+      this.lastNote = 0;
+      this.firstLine = 0;
+      this.lastLine = 0;
+      this.firstTie = 0;
+      this.lastTie = 0;
+      this.firstBarline = 0;
+      this.lastBarline = 0;
+      this.firstTempoMark = 0;
+      this.lastTempoMark = 0;
+      this.firstVolta = 0;
+      this.lastVolta = 0;
+
+      this.currentQuavSect = [];
+      this.lastSect = 0;
+
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         this.lastClavier[i] = 0;
+         this.lastTimeSignature[i] = -1;
+         this.lastKeySignature[i] = 0;
+         this.lastTempoChange[i] = -1;
+      }
+
+      this.checkNoteVisualization();
+      this.checkClavier();
+      this.checkTimeSignature();
+      this.checkKeySignature();
+      this.checkTempoChange();
+      this.checkNoteLine();
+      this.checkTie();
+      this.checkBarline();
+      this.checkTempoMark();
+      this.checkVolta();
+      this.checkQuaverSection();
+   }
+
+   /*
+      Crea una nueva secuencia de notas visuales para reproducir en la animación.
+      "actions" es un arreglo de MusicAction.
+   */
+   setMusicActions(actions)
+   {
+      if(!(actions instanceof Array))
+      {
+         return;
+      }
+
+      this.clearMusicActions();
+      this.musicActions = actions.slice();
+      this.layoutPlayerLinePos = this.playerLinePos;
+
+      actions = this.expandRepeats(actions);
+
+      this.fitCanvasHeight(actions);
+
+      /*
+         El tempo es común a toda la partitura, por lo que sus cambios se reúnen antes de generar los pentagramas.
+      */
+      this.tempoMap = this.createTempoMap(actions);
+
+      /*
+         Cada pentagrama tiene su propia generación, ya que sus notas avanzan de forma independiente.
+      */
+      this.gens = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         this.selectStaff(i);
+         this.gens.push(this.createGen(i));
+         this.gen = this.gens[i];
+         this.registerClavier();
+      }
+
+      this.selectStaff(0);
+
+      for(var i = 0; i < actions.length; ++i)
+      {
+         switch(actions[i].type)
+         {
+         case "note":
+         case "chord":
+         case "rest":
+            this.registerInMeasures(actions[i]);
+            break;
+
+         case "clef":
+            this.registerClef(actions[i]);
+            break;
+
+         case "staff":
+            this.selectStaff(actions[i].staff);
+            break;
+
+         case "timeSignature":
+            this.registerTimeSignature(actions[i]);
+            break;
+
+         case "keySignature":
+            this.registerKeySignature(actions[i]);
+            break;
+
+         case "repeatStart":
+            this.registerRepeat("start");
+            break;
+
+         case "repeatEnd":
+            this.registerRepeat("end");
+            break;
+
+         case "volta":
+            this.registerVolta(actions[i]);
+            break;
+         }
+      }
+
+      this.selectStaff(0);
+      this.registerTempoChanges();
+
+      if(this.staffCount > 1)
+      {
+         this.sortStaffElements();
+      }
+
+      if(this.audio != null)
+      {
+         this.audio.setEvents(this.audioEvents);
+      }
+
+      this.totalTime = Math.max.apply(null, this.gens.map(gen => gen.time));
+
+      for(var i = 0; i < this.scoreNotes.length; ++i)
+      {
+         this.scoreNotes[i].index = i;
+      }
+
+      this.createPracticeSteps();
+
+      /*
+         El área fija se ensancha para alojar la armadura con más alteraciones y el compás.
+      */
+      var maxAccidentals = 0;
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         for(var j = 0; j < this.keySignatures[i].length; ++j)
+         {
+            maxAccidentals = Math.max(maxAccidentals, Math.abs(this.keySignatures[i][j].fifths));
+         }
+      }
+
+      this.keyAreaWidth = maxAccidentals > 0 ? maxAccidentals * 7 + 6 : 0;
+      this.clavierAreaWidth = this.clefAreaWidth + this.keyAreaWidth;
+      if(this.timeSignatures.some(list => list.length > 0))
+      {
+         this.clavierAreaWidth += 20;
+      }
+
+      this.applyThemeColors();
+
+      /*
+         Se dibuja por primera vez para visualizar las notas en la linea de partida.
+      */
+      this.reset();
+   }
+
+   /*
+      Detiene la animación y descarta los elementos de la pieza cargada, para poder cargar otra.
+      La posición de la animación se reinicia al terminar de cargar la nueva pieza.
+   */
+   clearMusicActions()
+   {
+      this.status = "stopped";
+      cancelAnimationFrame(this.loopID);
+      this.clock.pause();
+
+      if(this.audio != null)
+      {
+         this.audio.stop();
+      }
+
+      this.noteTime = [];
+      this.visualNotes = [];
+      this.audioEvents = [];
+      this.quaverSections = [];
+      this.noteLines = [];
+      this.ties = [];
+      this.barlines = [];
+      this.tempoMarks = [];
+      this.voltas = [];
+      this.tempoMap = [];
+      this.measures = [];
+      this.loop = null;
+      this.metadata = {};
+      this.scoreNotes = [];
+      this.practice.steps = [];
+      this.playedNotes = [];
+      this.performance.result = null;
+      this.performance.marks = null;
+      this.highlight.notes = [];
+      this.highlight.next = 0;
+      this.totalTime = 0;
+
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         this.claviers[i] = [];
+         this.timeSignatures[i] = [];
+         this.keySignatures[i] = [{ fifths: 0, time: 0 }];
+         this.tempoChanges[i] = [];
+      }
+   }
+
+   /*
+      Carga una pieza guardada en el formato de ScoreFormat. "json" puede ser un texto o un objeto ya interpretado.
+      Si el documento no es válido, lanza un error y la pieza actual no se modifica.
+   */
+   loadScore(json)
+   {
+      const score = ScoreFormat.fromJSON(json);
+
+      this.setMusicActions(score.actions);
+      this.metadata = score.metadata;
+   }
+
+   /*
+      Devuelve la pieza cargada en el formato de ScoreFormat. Permite guardarla con "JSON.stringify(animatedScore)".
+   */
+   toJSON()
+   {
+      return ScoreFormat.toJSON(this.musicActions, this.metadata);
+   }
+
+   /*
+      Crea las propiedades de la generación de un pentagrama.
+      El pentagrama inferior de un sistema de dos pentagramas comienza en clave de fa.
+   */
+   createGen(staff)
+   {
+      /*
+         Propiedades de la generación que se irán modificando con cada MusicAction.
+         "currentTempo" es el tempo con el que se cargará la nota actual.
+         "x" es la posición horizontal en el pentagrama de la nota actual.
+         "position" es la posición absoluta en la pieza, medida en semifusas.
+      */
+      return {
+         staff: staff,
+         currentTempo: 120,
+         time: 0,
+         x: this.playerLinePos,
+         position: 0,
+
+         /*
+            "clavier" es la clave actual. Si "autoClavier" es verdadero, la clave se elige para cada nota.
+         */
+         clavier: staff == 1 ? "f" : "g",
+         autoClavier: false,
+
+         /*
+            Última alteración escrita en cada posición del pentagrama, indexada por la posición absoluta de la nota (octava * 7 + nombre de la nota).
+            Permite decidir cuándo se debe dibujar un becuadro de precaución.
+         */
+         alterations: {},
+
+         /*
+            Propiedades que definen las secciones de corcheas, semicorcheas, fusas y semifusas.
+            Estas secciones se deberán dibujar de una forma especial.
+         */
+         quaverSection: false,
+         quaverTotalDuration: 0,
+         quaverSectionElements: [],
+
+         /*
+            Última nota visual de una Note que pidió ligarse con la siguiente, o null.
+         */
+         tieFrom: null,
+         tieNote: null,
+
+         /*
+            Compás actual, o null si la pieza no tiene compás.
+            "units" es la posición dentro del compás actual, medida en semifusas, y "measure" es el número del compás actual.
+         */
+         timeSignature: null,
+         units: 0,
+         measure: 1,
+
+         /*
+            Alteraciones escritas en el compás anterior, para los becuadros de precaución.
+         */
+         lastAlterations: {},
+
+         /*
+            Armadura actual, como cantidad de sostenidos (positiva) o de bemoles (negativa).
+         */
+         keySignature: 0,
+
+         /*
+            Posición horizontal de la última nota o silencio visual, o null si todavía no hay ninguno.
+         */
+         lastX: null,
+
+         /*
+            Posición y texto de la casilla de repetición abierta.
+         */
+         volta: null,
+
+         /*
+            Eventos de sonido de la última nota que pidió ligarse con la siguiente, indexados por número de nota MIDI.
+         */
+         audioTies: {}
+      };
+   }
+
+   /*
+      Hace que las siguientes acciones se generen en el pentagrama "staff".
+   */
+   selectStaff(staff)
+   {
+      if(staff < 0 || staff >= this.staffCount)
+      {
+         return;
+      }
+
+      if(this.gens != undefined && this.gens[staff] != undefined)
+      {
+         this.gen = this.gens[staff];
+      }
+
+      this.scoreDimensions = this.staffDimensions[staff];
+   }
+
+   /*
+      Ordena horizontalmente los elementos de todos los pentagramas, ya que se generan un pentagrama a la vez y los rangos visibles suponen que están ordenados.
+   */
+   sortStaffElements()
+   {
+      const order = [];
+      for(var i = 0; i < this.visualNotes.length; ++i)
+      {
+         order.push(i);
+      }
+
+      order.sort((a, b) => this.noteTime[a] - this.noteTime[b] || a - b);
+
+      this.visualNotes = order.map(i => this.visualNotes[i]);
+      this.noteTime = order.map(i => this.noteTime[i]);
+
+      this.scoreNotes.sort((a, b) => a.time - b.time);
+
+      const byX = (a, b) => a.x - b.x;
+      this.noteLines.sort(byX);
+      this.quaverSections.sort(byX);
+      this.ties.sort(byX);
+      this.barlines.sort(byX);
+      this.tempoMarks.sort(byX);
+      this.voltas.sort(byX);
+   }
+
+   /*
+      Ajusta los márgenes del pentagrama y la altura del canvas para que ninguna nota de "actions" quede recortada.
+      Se debe llamar antes de crear las notas visuales, ya que su posición vertical depende del margen superior.
+   */
+   fitCanvasHeight(actions)
+   {
+      const top = [];
+      const bottom = [];
+      const currentClavier = [];
+      const currentFifths = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         top.push(0);
+         bottom.push(this.scoreHeight);
+         currentClavier.push(i == 1 ? "f" : "g");
+         currentFifths.push(0);
+      }
+
+      var staff = 0;
+
+      for(var i = 0; i < actions.length; ++i)
+      {
+         if(actions[i].type == "staff")
+         {
+            staff = Math.min(actions[i].staff, this.staffCount - 1);
+            continue;
+         }
+
+         if(actions[i].type == "clef")
+         {
+            currentClavier[staff] = actions[i].clef;
+            continue;
+         }
+
+         /*
+            Las indicaciones de tempo se dibujan sobre el pentagrama superior.
+         */
+         if(actions[i].type == "tempo" || actions[i].type == "gradualTempo")
+         {
+            top[0] = Math.min(top[0], -20);
+            continue;
+         }
+
+         /*
+            Las casillas de repetición se dibujan por encima de las indicaciones de tempo.
+         */
+         if(staff == 0 && actions[i].type == "volta")
+         {
+            top[0] = Math.min(top[0], -30);
+            continue;
+         }
+
+         if(actions[i].type == "keySignature")
+         {
+            currentFifths[staff] = actions[i].fifths;
+            continue;
+         }
+
+         if(actions[i].type != "note" && actions[i].type != "chord")
+         {
+            continue;
+         }
+
+         const pitches = this.getActionPitches(actions[i]);
+         const clavier = currentClavier[staff] == "auto" ? this.getAutoClavier(pitches) : currentClavier[staff];
+
+         var highPos = -100;
+         var lowPos = 100;
+         for(var j = 0; j < pitches.length; ++j)
+         {
+            const verticalPos = this.getNoteVerticalPos(pitches[j], clavier, currentFifths[staff]);
+            highPos = Math.max(highPos, verticalPos);
+            lowPos = Math.min(lowPos, verticalPos);
+         }
+
+         /*
+            Distancias relativas a la primera línea del pentagrama. La plica, cuando existe, se extiende tres espacios y medio desde la cabeza.
+         */
+         const stemUp = highPos + lowPos < 8;
+         top[staff] = Math.min(top[staff], this.scoreHeight - 0.5 - highPos * 3.5 - (stemUp ? 26 : 10));
+         bottom[staff] = Math.max(bottom[staff], this.scoreHeight - 0.5 - lowPos * 3.5 + (stemUp ? 10 : 26));
+      }
+
+      this.canvasPadding = Math.max(this.minCanvasPadding, Math.ceil(-top[0]) + 5);
+
+      /*
+         El espacio entre dos pentagramas debe alojar lo que sobresale del pentagrama superior por debajo y del inferior por encima.
+      */
+      this.staffDimensions = [new ScoreDimensions(this.scoreHeight, this.canvasPadding)];
+      for(var i = 1; i < this.staffCount; ++i)
+      {
+         const gap = Math.max(this.minStaffGap, Math.ceil(bottom[i - 1] - this.scoreHeight - top[i]) + 5);
+         this.staffDimensions.push(new ScoreDimensions(this.scoreHeight, this.staffDimensions[i - 1].padding + this.scoreHeight + gap));
+      }
+
+      const last = this.staffCount - 1;
+      this.canvasPaddingBottom = Math.max(this.minCanvasPadding, Math.ceil(bottom[last] - this.scoreHeight) + 5);
+
+      this.scoreDimensions = this.staffDimensions[0];
+      this.height = this.staffDimensions[last].padding + this.scoreHeight + this.canvasPaddingBottom;
+      this.applyCanvasSize();
+   }
+
+   mainLoop(frameTime)
+   {
+      if(this.status != "playing")
+      {
+         return;
+      }
+
+      this.loopID = requestAnimationFrame(this.loopCallback);
+
+      /*
+         Se saltean los cuadros que superan la cantidad máxima de cuadros por segundo.
+         Se tolera un pequeño adelanto para no perder cuadros por las variaciones del navegador.
+      */
+      if(frameTime - this.lastFrame < 1000 / this.framerate - 2)
+      {
+         return;
+      }
+
+      this.lastFrame = frameTime;
+
+      this.update();
+      this.draw();
+   }
+
+   /*
+      Controla el rango de notas que deben de ser dibujadas en el frame actual.
+      Esto lo hace verificando las notas que se escapan y entran en la pantalla.
+   */
+   checkNoteVisualization()
+   {
+      while(this.lastNote < this.visualNotes.length && this.visualNotes[this.lastNote].x - this.dx < this.width)
+      {
+         this.lastNote += 1;
+      }
+
+      while(this.firstNote < this.lastNote && this.visualNotes[this.firstNote].x - this.dx < -10)
+      {
+         this.firstNote += 1;
+      }
+   }
+
+   /*
+      Verifica si se debe cambiar de clave en el frame actual.
+   */
+   checkClavier()
+   {
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         const claviers = this.claviers[i];
+
+         while(this.lastClavier[i] < claviers.length - 1 && claviers[this.lastClavier[i] + 1].time < this.timeSinceStart)
+         {
+            this.lastClavier[i] += 1;
+         }
+      }
+   }
+
+   /*
+      Verifica si se debe cambiar de compás en el frame actual.
+   */
+   checkTimeSignature()
+   {
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         const timeSignatures = this.timeSignatures[i];
+
+         while(this.lastTimeSignature[i] < timeSignatures.length - 1 && timeSignatures[this.lastTimeSignature[i] + 1].time <= this.timeSinceStart)
+         {
+            this.lastTimeSignature[i] += 1;
+         }
+      }
+   }
+
+   /*
+      Verifica si se debe cambiar de armadura en el frame actual.
+   */
+   checkKeySignature()
+   {
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         const keySignatures = this.keySignatures[i];
+
+         while(this.lastKeySignature[i] < keySignatures.length - 1 && keySignatures[this.lastKeySignature[i] + 1].time < this.timeSinceStart)
+         {
+            this.lastKeySignature[i] += 1;
+         }
+      }
+   }
+
+   /*
+      Verifica si se debe cambiar de tempo en el frame actual.
+   */
+   checkTempoChange()
+   {
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         const tempoChanges = this.tempoChanges[i];
+
+         while(this.lastTempoChange[i] < tempoChanges.length - 1 && tempoChanges[this.lastTempoChange[i] + 1].time <= this.timeSinceStart)
+         {
+            this.lastTempoChange[i] += 1;
+         }
+      }
+   }
+
+   /*
+      Emite los eventos de las notas que llegan a la línea de reproducción y de las que terminan.
+   */
+   checkScoreNotes()
+   {
+      for(var i = 0; i < this.activeScoreNotes.length; ++i)
+      {
+         const scoreNote = this.activeScoreNotes[i];
+
+         if(scoreNote.time + scoreNote.duration <= this.timeSinceStart)
+         {
+            this.activeScoreNotes.splice(i, 1);
+            i -= 1;
+
+            this.emitScoreNote("noteoff", scoreNote);
+         }
+      }
+
+      while(this.nextScoreNote < this.scoreNotes.length && this.scoreNotes[this.nextScoreNote].time <= this.timeSinceStart)
+      {
+         const scoreNote = this.scoreNotes[this.nextScoreNote];
+         this.nextScoreNote += 1;
+
+         this.activeScoreNotes.push(scoreNote);
+         this.markPerformance(scoreNote);
+         this.emitScoreNote("noteon", scoreNote);
+      }
+   }
+
+   emitScoreNote(type, scoreNote)
+   {
+      this.emit(type, {
+         note: scoreNote.action,
+         index: scoreNote.index,
+         time: scoreNote.time,
+         staff: scoreNote.staff
+      });
+   }
+
+   /*
+      Emite los eventos de cambio de clave y de tempo respecto de los índices anteriores "claviers" y "tempoChanges".
+   */
+   emitChanges(claviers, tempoChanges)
+   {
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         if(this.lastClavier[i] != claviers[i])
+         {
+            this.emit("clefchange", { staff: i, clef: this.claviers[i][this.lastClavier[i]].clavier });
+         }
+
+         if(this.lastTempoChange[i] != tempoChanges[i] && this.lastTempoChange[i] >= 0)
+         {
+            const change = this.tempoChanges[i][this.lastTempoChange[i]];
+            const detail = { staff: i, tempo: change.tempo };
+
+            if(change.to != change.tempo)
+            {
+               detail.to = change.to;
+            }
+
+            this.emit("tempochange", detail);
+         }
+      }
+   }
+
+   checkVolta()
+   {
+      while(this.lastVolta < this.voltas.length && this.voltas[this.lastVolta].x - this.dx < this.width)
+      {
+         this.lastVolta += 1;
+      }
+
+      while(this.firstVolta < this.lastVolta && this.voltas[this.firstVolta].toX - this.dx < -10)
+      {
+         this.firstVolta += 1;
+      }
+   }
+
+   checkTempoMark()
+   {
+      while(this.lastTempoMark < this.tempoMarks.length && this.tempoMarks[this.lastTempoMark].x - this.dx < this.width)
+      {
+         this.lastTempoMark += 1;
+      }
+
+      while(this.firstTempoMark < this.lastTempoMark && this.tempoMarks[this.firstTempoMark].toX - this.dx < -10)
+      {
+         this.firstTempoMark += 1;
+      }
+   }
+
+   checkBarline()
+   {
+      while(this.lastBarline < this.barlines.length && this.barlines[this.lastBarline].x - this.dx < this.width)
+      {
+         this.lastBarline += 1;
+      }
+
+      while(this.firstBarline < this.lastBarline && this.barlines[this.firstBarline].x - this.dx < -10)
+      {
+         this.firstBarline += 1;
+      }
+   }
+
+   checkNoteLine()
+   {
+      while(this.lastLine < this.noteLines.length && this.noteLines[this.lastLine].x - this.dx < this.width)
+      {
+         this.lastLine += 1;
+      }
+
+      while(this.firstLine < this.lastLine && this.noteLines[this.firstLine].x - this.dx < -10)
+      {
+         this.firstLine += 1;
+      }
+   }
+
+   checkTie()
+   {
+      while(this.lastTie < this.ties.length && this.ties[this.lastTie].x - this.dx < this.width)
+      {
+         this.lastTie += 1;
+      }
+
+      while(this.firstTie < this.lastTie && this.ties[this.firstTie].toX - this.dx < -10)
+      {
+         this.firstTie += 1;
+      }
+   }
+
+   checkQuaverSection()
+   {
+      while(this.lastSect < this.quaverSections.length && this.quaverSections[this.lastSect].x - this.dx < this.width)
+      {
+         this.currentQuavSect.push(this.quaverSections[this.lastSect]);
+         this.lastSect += 1;
+      }
+
+      var toDelete = 0;
+      for(var i = 0; i < this.currentQuavSect.length; ++i)
+      {
+         if(this.currentQuavSect[i].toX - this.dx < -10)
+         {
+            toDelete += 1;
+         }
+         else break;
+      }
+      this.currentQuavSect.splice(0, toDelete);
+   }
+
+   update()
+   {
+      var time = this.clock.getTime();
+
+      const claviers = this.lastClavier.slice();
+      const tempoChanges = this.lastTempoChange.slice();
+
+      /*
+         En el modo de práctica, la animación no avanza más allá del próximo grupo de notas que todavía no se tocó.
+      */
+      const step = this.getPracticeStep();
+      const reachedStep = step != null && time >= step.time;
+
+      if(reachedStep)
+      {
+         time = step.time;
+      }
+
+      /*
+         Al llegar al final de la región que se repite, se vuelve a su comienzo conservando el tiempo sobrante.
+      */
+      var wrapped = false;
+      const loop = this.loop;
+
+      if(loop != null && this.timeSinceStart >= loop.start && this.timeSinceStart < loop.end && time >= loop.end)
+      {
+         time = loop.start + (time - loop.end) % (loop.end - loop.start);
+         this.clock.start(time);
+         wrapped = true;
+      }
+
+      /*
+         Si el reloj retrocedió, por ejemplo porque se movió la posición de un elemento multimedia o porque se repitió la región, los rangos visibles se reconstruyen.
+      */
+      if(wrapped || time < this.timeSinceStart)
+      {
+         this.setPosition(Math.max(0, time));
+         this.emitChanges(claviers, tempoChanges);
+
+         if(this.audio != null)
+         {
+            if(wrapped)
+            {
+               this.audio.continueLoop(this.timeSinceStart);
+            }
+            else
+            {
+               this.audio.play(this.timeSinceStart);
+            }
+         }
+
+         if(wrapped)
+         {
+            this.emit("loop", { time: this.timeSinceStart });
+         }
+
+         return;
+      }
+
+      this.scrollTo(time);
+
+      this.checkNoteVisualization();
+      this.checkClavier();
+      this.checkTimeSignature();
+      this.checkKeySignature();
+      this.checkTempoChange();
+      this.checkNoteLine();
+      this.checkTie();
+      this.checkBarline();
+      this.checkTempoMark();
+      this.checkVolta();
+      this.checkQuaverSection();
+
+      /*
+         La animación se detiene cuando la última nota sale de la pantalla, un tiempo después de que la pieza terminó de sonar.
+      */
+      if(this.firstNote == this.visualNotes.length)
+      {
+         this.checkEnd();
+         this.stop();
+         return;
+      }
+
+      this.emitChanges(claviers, tempoChanges);
+      this.checkScoreNotes();
+      this.checkNoteStates();
+      this.checkEnd();
+
+      if(reachedStep && !this.practice.waiting)
+      {
+         this.waitForStep(step);
+         return;
+      }
+
+      if(this.audio != null)
+      {
+         /*
+            En el modo de práctica la animación se detiene en cada paso, así que no se agenda por adelantado la siguiente vuelta de la región que se repite.
+         */
+         if(step != null)
+         {
+            this.audio.schedule(this.timeSinceStart, Math.min(step.time, this.loop != null && this.timeSinceStart < this.loop.end ? this.loop.end : Infinity));
+         }
+         else
+         {
+            this.audio.schedule(this.timeSinceStart, Infinity, this.loop);
+         }
+      }
+   }
+
+   /*
+      Emite el evento "end" una sola vez, cuando el instante actual alcanza el final de la última nota.
+   */
+   checkEnd()
+   {
+      if(!this.ended && this.timeSinceStart >= this.totalTime)
+      {
+         this.ended = true;
+         this.emit("end", { time: this.timeSinceStart });
+      }
+   }
+
+   /*
+      Desplaza la partitura hasta el instante "time". El desplazamiento se calcula a partir del tiempo absoluto, por lo que no acumula errores entre cuadros.
+   */
+   scrollTo(time)
+   {
+      this.timeSinceStart = time;
+      this.dx = this.velocity * time / 1000 - (this.playerLinePos - this.layoutPlayerLinePos);
+
+      this.resetTransform();
+      this.context.translate(-this.dx, 0);
+   }
+
+   draw()
+   {
+      this.context.save();
+      this.context.setTransform(1, 0, 0, 1, 0, 0);
+      this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+      this.resetTransform();
+      this.drawScoreLines(this.context, this.width);
+
+      this.context.restore();
+
+      this.drawBarlines(this.context);
+      this.drawTempoMarks(this.context);
+      this.drawVoltas(this.context);
+      this.drawNoteProgress(this.context);
+      this.drawNotes(this.context);
+      this.drawTies(this.context);
+      this.drawNoteLines(this.context);
+      this.drawQuaverSections(this.context);
+
+      this.context.save();
+      this.resetTransform();
+
+      this.drawPlayerLine(this.context);
+      this.drawClavier(this.context);
+
+      this.context.restore();
+   }
+   
+   drawScoreLines(context, width)
+   {
+      for(var s = 0; s < this.staffCount; ++s)
+      {
+         for(var i = 0; i < 5; ++i)
+         {
+            const y = this.staffDimensions[s].getPosY(i * 2);
+
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(width, y);
+            context.strokeStyle = this.theme.staffColor;
+            context.lineWidth = 1;
+            context.stroke();
+         }
+      }
+   }
+
+   drawPlayerLine(context)
+   {
+      const lastStaff = this.staffDimensions[this.staffCount - 1];
+
+      context.beginPath();
+      context.moveTo(this.playerLinePos, this.staffDimensions[0].padding - 10);
+      context.lineTo(this.playerLinePos, lastStaff.padding + this.scoreHeight + 10);
+      context.strokeStyle = this.theme.playerLineColor;
+      context.lineWidth = this.theme.playerLineWidth;
+      context.setLineDash(this.theme.playerLineDash);
+      context.stroke();
+      context.setLineDash([]);
+   }
+
+   drawNotes(context)
+   {
+      for(var i = this.firstNote; i < this.lastNote; ++i)
+      {
+         const visualNote = this.visualNotes[i];
+
+         /*
+            El desenfoque de la sombra no depende de la transformación del contexto, por lo que se escala a mano.
+         */
+         if(this.highlight.glow && visualNote.state == "active")
+         {
+            context.save();
+            context.shadowColor = this.theme.highlightColor;
+            context.shadowBlur = 8 * this.scale * this.pixelRatio;
+            visualNote.draw(context);
+            context.restore();
+            continue;
+         }
+
+         visualNote.draw(context);
+      }
+   }
+
+   /*
+      Dibuja debajo de cada nota que está sonando una barra que abarca su duración, llena hasta el instante actual.
+      Solo se dibuja en las notas que ocupan más espacio que su cabeza.
+   */
+   drawNoteProgress(context)
+   {
+      if(!this.highlight.progress)
+      {
+         return;
+      }
+
+      context.save();
+      context.fillStyle = this.theme.highlightColor;
+
+      for(var i = 0; i < this.highlight.notes.length; ++i)
+      {
+         const scoreNote = this.highlight.notes[i];
+         var start = scoreNote.time;
+
+         /*
+            Las notas ligadas tienen una nota visual por cada parte, una a continuación de la otra.
+         */
+         for(var j = 0; j < scoreNote.visualNotes.length; ++j)
+         {
+            const visualNote = scoreNote.visualNotes[j];
+            const length = visualNote.duration * this.velocity;
+            const filled = Math.max(0, Math.min(length, (this.timeSinceStart - start) * this.velocity / 1000));
+            const ys = visualNote.getHeadYs();
+
+            start += visualNote.duration * 1000;
+
+            if(length <= 9)
+            {
+               continue;
+            }
+
+            for(var k = 0; k < ys.length; ++k)
+            {
+               context.globalAlpha = 0.15;
+               context.fillRect(visualNote.x + 4.5, ys[k] - 2, length, 4);
+
+               context.globalAlpha = 0.4;
+               context.fillRect(visualNote.x + 4.5, ys[k] - 2, filled, 4);
+            }
+         }
+      }
+
+      context.restore();
+   }
+
+   drawNoteLines(context)
+   {
+      for(var i = this.firstLine; i < this.lastLine; ++i)
+      {
+         this.noteLines[i].draw(context);
+      }
+   }
+
+   drawBarlines(context)
+   {
+      for(var i = this.firstBarline; i < this.lastBarline; ++i)
+      {
+         this.barlines[i].draw(context);
+      }
+   }
+
+   drawTempoMarks(context)
+   {
+      for(var i = this.firstTempoMark; i < this.lastTempoMark; ++i)
+      {
+         this.tempoMarks[i].draw(context);
+      }
+   }
+
+   drawVoltas(context)
+   {
+      for(var i = this.firstVolta; i < this.lastVolta; ++i)
+      {
+         this.voltas[i].draw(context);
+      }
+   }
+
+   drawTies(context)
+   {
+      for(var i = this.firstTie; i < this.lastTie; ++i)
+      {
+         this.ties[i].draw(context);
+      }
+   }
+
+   drawQuaverSections(context)
+   {
+      for(var i = 0; i < this.currentQuavSect.length; ++i)
+      {
+         this.currentQuavSect[i].draw(context);
+      }
+   }
+
+   drawClavier(context)
+   {
+      context.fillStyle = this.theme.background;
+      context.fillRect(0, 0, this.clavierAreaWidth, this.height);
+
+      this.drawScoreLines(context, this.clavierAreaWidth);
+
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         const clavier = this.claviers[i][this.lastClavier[i]].clavier;
+
+         this.drawStaffClavier(context, clavier, this.staffDimensions[i]);
+         this.drawKeySignature(context, this.keySignatures[i][this.lastKeySignature[i]].fifths, clavier, this.staffDimensions[i]);
+
+         if(this.lastTimeSignature[i] >= 0)
+         {
+            this.drawTimeSignature(context, this.timeSignatures[i][this.lastTimeSignature[i]], this.staffDimensions[i]);
+         }
+      }
+
+      if(this.staffCount > 1)
+      {
+         this.drawBrace(context);
+      }
+   }
+
+   /*
+      Dibuja la clave "clavier" en el pentagrama de dimensiones "scoreDimensions".
+   */
+   drawStaffClavier(context, clavier, scoreDimensions)
+   {
+      const padding = scoreDimensions.padding;
+
+      switch(clavier)
+      {
+      case "alto":
+      case "tenor":
+         this.drawCClavier(context, scoreDimensions.getPosY(this.cClavierPos[clavier]));
+         break;
+
+      case "g8vb":
+         this.drawClefSymbol(context, "g", scoreDimensions);
+
+         context.fillStyle = this.theme.color;
+         context.font = "10px serif";
+         context.textAlign = "center";
+         context.fillText("8", 23.5, padding + this.scoreHeight + 18);
+         break;
+
+      default:
+         this.drawClefSymbol(context, clavier, scoreDimensions);
+      }
+   }
+
+   /*
+      Dibuja el símbolo de la clave de sol ("g") o de fa ("f"), con su imagen si se indicó una o con su figura vectorial.
+   */
+   drawClefSymbol(context, type, scoreDimensions)
+   {
+      const img = this.getImage(type + "-clavier");
+
+      if(Glyphs.isImageReady(img))
+      {
+         context.drawImage(img, 15, scoreDimensions.padding - 10);
+         return;
+      }
+
+      context.fillStyle = this.theme.color;
+      context.strokeStyle = this.theme.color;
+
+      if(type == "g")
+      {
+         Glyphs.draw(context, "gClef", 23.5, scoreDimensions.getPosY(2));
+      }
+      else
+      {
+         Glyphs.draw(context, "fClef", 17, scoreDimensions.getPosY(6));
+      }
+   }
+
+   /*
+      Dibuja la armadura de "fifths" alteraciones a la derecha de la clave "clavier".
+   */
+   drawKeySignature(context, fifths, clavier, scoreDimensions)
+   {
+      const type = fifths > 0 ? "sharp" : "flat";
+      const positions = this.keySignaturePos[clavier][type];
+
+      for(var i = 0; i < Math.abs(fifths); ++i)
+      {
+         const accidental = new Accidental(type, scoreDimensions.getPosY(positions[i]));
+         accidental.color = this.theme.color;
+         accidental.draw(context, this.clefAreaWidth - 2 + i * 7);
+      }
+   }
+
+   /*
+      Dibuja el compás "timeSignature" a la derecha de la clave, en el pentagrama de dimensiones "scoreDimensions".
+   */
+   drawTimeSignature(context, timeSignature, scoreDimensions)
+   {
+      context.fillStyle = this.theme.color;
+      context.font = "bold 15px serif";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      const x = 62 + this.keyAreaWidth;
+
+      context.fillText(timeSignature.beats, x, scoreDimensions.getPosY(6));
+      context.fillText(timeSignature.beatValue, x, scoreDimensions.getPosY(2));
+      context.textBaseline = "alphabetic";
+   }
+
+   /*
+      Dibuja la llave y la línea que unen a los pentagramas del sistema.
+   */
+   drawBrace(context)
+   {
+      const top = this.staffDimensions[0].padding + 0.5;
+      const bottom = this.staffDimensions[this.staffCount - 1].padding + this.scoreHeight - 0.5;
+      const middle = (top + bottom) / 2;
+
+      context.strokeStyle = this.theme.color;
+      context.lineWidth = 1;
+      context.beginPath();
+      context.moveTo(12.5, top);
+      context.lineTo(12.5, bottom);
+      context.stroke();
+
+      context.fillStyle = this.theme.color;
+      context.beginPath();
+      context.moveTo(9, top);
+      context.bezierCurveTo(2, top + 10, 10, middle - 12, 3, middle);
+      context.bezierCurveTo(10, middle + 12, 2, bottom - 10, 9, bottom);
+      context.bezierCurveTo(5, bottom - 10, 13, middle + 12, 5, middle);
+      context.bezierCurveTo(13, middle - 12, 5, top + 10, 9, top);
+      context.fill();
+   }
+
+   /*
+      Dibuja una clave de do centrada en la coordenada vertical "y".
+   */
+   drawCClavier(context, y)
+   {
+      context.fillStyle = this.theme.color;
+      context.strokeStyle = this.theme.color;
+
+      context.fillRect(15, y - 14.5, 3.5, 29);
+      context.fillRect(20, y - 14.5, 1, 29);
+
+      context.lineWidth = 2;
+      context.beginPath();
+      context.moveTo(21, y);
+      context.lineTo(24, y - 4);
+      context.bezierCurveTo(26, y - 7, 26, y - 14, 30, y - 14);
+      context.bezierCurveTo(34, y - 14, 34, y - 6, 29, y - 7);
+      context.moveTo(21, y);
+      context.lineTo(24, y + 4);
+      context.bezierCurveTo(26, y + 7, 26, y + 14, 30, y + 14);
+      context.bezierCurveTo(34, y + 14, 34, y + 6, 29, y + 7);
+      context.stroke();
+   }
+
+   /*
+      Agrega una nota o un acorde a la secuencia.
+   */
+   registerNote(note)
+   {
+      /*
+         Una altura continúa una ligadura solo si la nota o el acorde anterior la pidió y la altura se repite.
+      */
+      const pitches = this.getActionPitches(note);
+      const tiedPitches = this.getTiedPitches(note);
+
+      const tieFrom = this.gen.tieFrom;
+
+      var vn = this.createVisualNotes(note, tiedPitches);
+
+      var changedClavier = this.registerClavier();
+
+      const startTime = this.gen.time;
+
+      for(var i = 0; i < vn.length; ++i)
+      {
+         var visualNote = vn[i];
+
+         this.advancePosition(visualNote);
+
+         this.noteTime.push(this.gen.time);
+         this.gen.time += visualNote.duration * 1000;
+
+         visualNote.x = this.gen.x;
+         this.gen.lastX = visualNote.x;
+
+         this.gen.x += visualNote.duration * this.velocity;
+
+         this.visualNotes.push(visualNote);
+
+         var timeFactor = 120 / this.gen.currentTempo;
+
+         /*
+            Con compás, las secciones de corcheas se agrupan por pulsos: una nota que comienza un pulso cierra la sección anterior.
+         */
+         const beatStart = this.gen.timeSignature != null && this.gen.units % this.getBeamGroupUnits() == 0;
+         this.gen.units += visualNote.units;
+
+         /*
+            Verificar si está activa una sección de corcheas.
+         */
+         if(this.gen.quaverSection)
+         {
+            /*
+               Si la duración de la nota actual supera la duración de una corchea.
+            */
+            if(visualNote.symbolId < 3)
+            {
+               this.createQuaverSection();
+
+               this.gen.quaverSection = false;
+               this.gen.quaverTotalDuration = 0;
+               this.gen.quaverSectionElements = [];
+
+               continue;
+            }
+
+            this.gen.quaverTotalDuration += visualNote.duration;
+
+            var closeSection;
+            if(this.gen.timeSignature != null)
+            {
+               closeSection = beatStart;
+            }
+            else
+            {
+               closeSection = this.gen.quaverTotalDuration > 1 * timeFactor;
+            }
+
+            if(changedClavier || closeSection)
+            {
+               this.createQuaverSection();
+
+               this.gen.quaverSection = false;
+               this.gen.quaverTotalDuration = 0;
+               this.gen.quaverSectionElements = [];
+            }
+            else
+            {
+               this.gen.quaverSectionElements.push(visualNote);
+            }
+         }
+
+         if(!this.gen.quaverSection && visualNote.symbolId >= 3)
+         {
+            this.gen.quaverSection = true;
+            this.gen.quaverTotalDuration += visualNote.duration;
+            this.gen.quaverSectionElements.push(visualNote);
+         }
+      }
+
+      /*
+         Los símbolos en los que se dividió la nota se unen con ligaduras, al igual que la nota anterior si pidió ligarse con esta.
+      */
+      for(var i = 0; i < tiedPitches.length; ++i)
+      {
+         this.ties.push(this.createTie(tieFrom, vn[0], this.getNoteVerticalPos(tiedPitches[i], this.gen.clavier)));
+      }
+
+      for(var i = 1; i < vn.length; ++i)
+      {
+         for(var j = 0; j < pitches.length; ++j)
+         {
+            this.ties.push(this.createTie(vn[i - 1], vn[i], this.getNoteVerticalPos(pitches[j], this.gen.clavier)));
+         }
+      }
+
+      this.gen.tieFrom = note.tied ? vn[vn.length - 1] : null;
+      this.gen.tieNote = note.tied ? note : null;
+
+      this.registerAudioEvents(pitches, tiedPitches, startTime, this.gen.time - startTime, note.tied);
+   }
+
+   /*
+      Agrega los eventos de sonido de una nota o de un acorde que comienza en "time" y dura "duration" milisegundos.
+      Las alturas que continúan una ligadura prolongan el evento de la nota anterior.
+   */
+   registerAudioEvents(pitches, tiedPitches, time, duration, tied)
+   {
+      const audioTies = {};
+
+      for(var i = 0; i < pitches.length; ++i)
+      {
+         const midi = this.getMidiNumber(pitches[i]);
+         var event = tiedPitches.indexOf(pitches[i]) != -1 ? this.gen.audioTies[midi] : undefined;
+
+         if(event != undefined)
+         {
+            event.duration += duration;
+         }
+         else
+         {
+            event = {
+               midi: midi,
+               time: time,
+               duration: duration
+            };
+
+            this.audioEvents.push(event);
+         }
+
+         audioTies[midi] = event;
+      }
+
+      this.gen.audioTies = tied ? audioTies : {};
+   }
+
+   /*
+      Devuelve el número de nota MIDI de una nota. El do central (octava 3) es el 60.
+   */
+   getMidiNumber(note)
+   {
+      return note.note + (note.octave + 2) * 12;
+   }
+
+   /*
+      Devuelve las alturas de una nota o un acorde que continúan la ligadura pedida por la acción anterior.
+   */
+   getTiedPitches(action)
+   {
+      const pitches = this.getActionPitches(action);
+      const tiedPitches = [];
+
+      if(this.gen.tieFrom != null)
+      {
+         const previous = this.getActionPitches(this.gen.tieNote);
+
+         for(var i = 0; i < pitches.length; ++i)
+         {
+            if(previous.some(p => p.note == pitches[i].note && p.octave == pitches[i].octave))
+            {
+               tiedPitches.push(pitches[i]);
+            }
+         }
+      }
+
+      return tiedPitches;
+   }
+
+   /*
+      Devuelve el arreglo de alturas de una nota o un acorde.
+   */
+   getActionPitches(action)
+   {
+      return action.type == "chord" ? action.notes : [action];
+   }
+
+   /*
+      Crea la ligadura entre dos notas visuales ya ubicadas horizontalmente, a la altura "verticalPos".
+      La ligadura se dibuja del lado opuesto a la plica. En los acordes, la ligadura de la nota más aguda se curva hacia arriba y las demás hacia abajo.
+   */
+   createTie(from, to, verticalPos)
+   {
+      var direction;
+      if(from.chord != null)
+      {
+         direction = verticalPos == from.highPos ? "up" : "down";
+      }
+      else
+      {
+         direction = verticalPos > 3 ? "up" : "down";
+      }
+
+      const y = this.scoreDimensions.getPosY(verticalPos) + (direction == "up" ? -5 : 5);
+
+      return new Tie(from.x + 5, y, to.x + 4, direction);
+   }
+
+   /*
+      Registra la clave actual de la generación en el instante actual, si es distinta de la última registrada.
+      Devuelve verdadero si hubo un cambio de clave.
+   */
+   registerClavier()
+   {
+      const claviers = this.claviers[this.gen.staff];
+      const last = claviers.length - 1;
+
+      if(last >= 0 && claviers[last].clavier == this.gen.clavier)
+      {
+         return false;
+      }
+
+      /*
+         Dos claves en el mismo instante: solo vale la última.
+      */
+      if(last >= 0 && claviers[last].time == this.gen.time)
+      {
+         claviers[last].clavier = this.gen.clavier;
+         return last > 0;
+      }
+
+      claviers.push({
+         clavier: this.gen.clavier,
+         time: this.gen.time
+      });
+
+      return last >= 0;
+   }
+
+   /*
+      Aplica un cambio de clave. La clave "auto" no se registra hasta la siguiente nota, que es la que la determina.
+      Un cambio de clave interrumpe cualquier sección de corcheas que esté abierta.
+   */
+   registerClef(clef)
+   {
+      if(clef.clef == "auto")
+      {
+         this.gen.autoClavier = true;
+         return;
+      }
+
+      this.gen.autoClavier = false;
+      this.gen.clavier = clef.clef;
+
+      if(this.registerClavier() && this.gen.quaverSection)
+      {
+         this.createQuaverSection();
+
+         this.gen.quaverSection = false;
+         this.gen.quaverTotalDuration = 0;
+         this.gen.quaverSectionElements = [];
+      }
+   }
+
+   /*
+      Agrega un silencio a la secuencia.
+      Un silencio interrumpe cualquier sección de corcheas que esté abierta.
+   */
+   registerRest(rest)
+   {
+      if(this.gen.quaverSection)
+      {
+         this.createQuaverSection();
+
+         this.gen.quaverSection = false;
+         this.gen.quaverTotalDuration = 0;
+         this.gen.quaverSectionElements = [];
+      }
+
+      this.gen.tieFrom = null;
+      this.gen.tieNote = null;
+
+      const symbols = this.getDurationSymbols(rest.duration);
+
+      for(var i = 0; i < symbols.length; ++i)
+      {
+         const id = symbols[i].id;
+
+         var visualRest = new VisualRest(id, this.noteDuration[id], this.gen.currentTempo, this.scoreDimensions, symbols[i].dots);
+         visualRest.units = symbols[i].units;
+
+         this.advancePosition(visualRest);
+
+         this.noteTime.push(this.gen.time);
+         this.gen.time += visualRest.duration * 1000;
+
+         visualRest.x = this.gen.x;
+         this.gen.lastX = visualRest.x;
+
+         this.gen.x += visualRest.duration * this.velocity;
+         this.gen.units += visualRest.units;
+
+         this.visualNotes.push(visualRest);
+      }
+   }
+
+   /*
+      Avanza la posición absoluta de la generación con la duración de "element", una nota o un silencio visual.
+      La duración en segundos de "element" se calcula con el mapa de tempo, para que todos los pentagramas compartan la misma línea de tiempo.
+   */
+   advancePosition(element)
+   {
+      const position = this.gen.position;
+
+      this.gen.currentTempo = this.getTempo(position);
+      element.duration = this.getTempoDuration(position, position + element.units);
+
+      this.gen.position += element.units;
+   }
+
+   /*
+      Reúne los cambios de tempo de todos los pentagramas en un mapa ordenado por posición, medida en semifusas desde el comienzo.
+      Cada cambio tiene su posición inicial ("start") y final ("end", igual a la inicial salvo en los cambios graduales) y sus tempos inicial ("from") y final ("to"). Si dos cambios comienzan en la misma posición, vale el último.
+   */
+   createTempoMap(actions)
+   {
+      const positions = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         positions.push(0);
+      }
+
+      const changes = [];
+      var staff = 0;
+
+      for(var i = 0; i < actions.length; ++i)
+      {
+         const action = actions[i];
+
+         switch(action.type)
+         {
+         case "staff":
+            if(action.staff >= 0 && action.staff < this.staffCount)
+            {
+               staff = action.staff;
+            }
+            break;
+
+         case "note":
+         case "chord":
+         case "rest":
+            positions[staff] += action.duration;
+            break;
+
+         case "tempo":
+            changes.push({ start: positions[staff], end: positions[staff], from: action.tempo, to: action.tempo });
+            break;
+
+         case "gradualTempo":
+            changes.push({
+               start: positions[staff],
+               end: positions[staff] + action.duration,
+               from: action.duration > 0 ? action.from : action.to,
+               to: action.to
+            });
+            break;
+         }
+      }
+
+      changes.sort((a, b) => a.start - b.start);
+
+      return changes.filter((change, i) => i + 1 == changes.length || changes[i + 1].start != change.start);
+   }
+
+   /*
+      Devuelve el tempo del cambio "change" en la posición "position", que debe ser posterior a su comienzo.
+   */
+   getChangeTempo(change, position)
+   {
+      if(position >= change.end)
+      {
+         return change.to;
+      }
+
+      return change.from + (change.to - change.from) * (position - change.start) / (change.end - change.start);
+   }
+
+   /*
+      Devuelve el tempo en la posición "position". Antes del primer cambio, el tempo es de 120 pulsaciones por minuto.
+   */
+   getTempo(position)
+   {
+      var tempo = 120;
+
+      for(var i = 0; i < this.tempoMap.length && this.tempoMap[i].start <= position; ++i)
+      {
+         tempo = this.getChangeTempo(this.tempoMap[i], position);
+      }
+
+      return tempo;
+   }
+
+   /*
+      Devuelve la duración en segundos entre las posiciones "start" y "end".
+      Como el tempo varía linealmente con la posición durante un cambio gradual, la duración es la integral de la inversa del tempo. Un cambio que comienza antes de que termine el cambio gradual anterior lo interrumpe.
+   */
+   getTempoDuration(start, end)
+   {
+      /*
+         Duración de una semifusa en segundos, multiplicada por el tempo.
+      */
+      const unitFactor = this.noteDuration[6] * 120;
+
+      var seconds = 0;
+
+      for(var i = -1; i < this.tempoMap.length; ++i)
+      {
+         const change = i >= 0 ? this.tempoMap[i] : { start: 0, end: 0, from: 120, to: 120 };
+         const next = i + 1 < this.tempoMap.length ? this.tempoMap[i + 1].start : Infinity;
+         const rampEnd = Math.min(change.end, next);
+
+         /*
+            Tramo del cambio gradual y tramo de tempo constante que le sigue hasta el próximo cambio.
+         */
+         const pieces = [[change.start, rampEnd], [rampEnd, next]];
+
+         for(var j = 0; j < pieces.length; ++j)
+         {
+            const from = Math.max(start, pieces[j][0]);
+            const to = Math.min(end, pieces[j][1]);
+
+            if(from >= to)
+            {
+               continue;
+            }
+
+            const t1 = this.getChangeTempo(change, from);
+            const t2 = this.getChangeTempo(change, to);
+
+            if(t1 == t2)
+            {
+               seconds += unitFactor * (to - from) / t1;
+            }
+            else
+            {
+               seconds += unitFactor * (to - from) * Math.log(t2 / t1) / (t2 - t1);
+            }
+         }
+      }
+
+      return seconds;
+   }
+
+   /*
+      Registra los cambios del mapa de tempo en todos los pentagramas y dibuja sus indicaciones sobre el pentagrama superior.
+      La posición horizontal de cada indicación se obtiene de su instante, igual que la de las notas.
+   */
+   registerTempoChanges()
+   {
+      const padding = this.staffDimensions[0].padding - 8;
+
+      for(var i = 0; i < this.tempoMap.length; ++i)
+      {
+         const change = this.tempoMap[i];
+         const time = this.getTempoDuration(0, change.start) * 1000;
+         const x = this.playerLinePos + time * this.velocity / 1000;
+
+         for(var j = 0; j < this.staffCount; ++j)
+         {
+            this.tempoChanges[j].push({
+               tempo: change.from,
+               to: change.to,
+               time: time
+            });
+         }
+
+         if(change.end == change.start)
+         {
+            this.tempoMarks.push(new TempoMark(x, padding, change.to));
+         }
+         else
+         {
+            const toX = x + this.getTempoDuration(change.start, change.end) * this.velocity;
+            const text = change.to > change.from ? "accel." : "rit.";
+
+            this.tempoMarks.push(new TempoChangeMark(x, padding, toX, text));
+         }
+      }
+   }
+
+   /*
+      Agrega una nota, un acorde o un silencio respetando el compás actual.
+      Si la acción no entra en lo que queda del compás, se divide en dos partes ligadas (o en dos silencios) a ambos lados de la barra de compás.
+   */
+   registerInMeasures(action)
+   {
+      var current = action;
+
+      const startTime = this.gen.time;
+      const firstVisualNote = this.visualNotes.length;
+
+      /*
+         Alturas que se atacan al comenzar la acción, sin las que continúan una ligadura.
+      */
+      var attackPitches = [];
+      if(action.type != "rest")
+      {
+         const tiedPitches = this.getTiedPitches(action);
+         attackPitches = this.getActionPitches(action).filter(pitch => tiedPitches.indexOf(pitch) == -1).map(pitch => this.getMidiNumber(pitch));
+      }
+
+      if(this.gen.timeSignature != null)
+      {
+         var remaining = this.getMeasureUnits() - this.gen.units;
+
+         while(current.duration > remaining)
+         {
+            this.registerDuration(this.splitAction(current, remaining, true));
+            this.startMeasure();
+
+            current = this.splitAction(current, current.duration - remaining, current.tied);
+            remaining = this.getMeasureUnits();
+         }
+      }
+
+      this.registerDuration(current);
+
+      if(this.gen.timeSignature != null && this.gen.units >= this.getMeasureUnits())
+      {
+         this.startMeasure();
+      }
+
+      if(action.type != "rest")
+      {
+         this.scoreNotes.push({
+            action: action,
+            time: startTime,
+            duration: this.gen.time - startTime,
+            staff: this.gen.staff,
+            visualNotes: this.visualNotes.slice(firstVisualNote),
+            pitches: attackPitches
+         });
+      }
+   }
+
+   registerDuration(action)
+   {
+      if(action.type == "rest")
+      {
+         this.registerRest(action);
+      }
+      else
+      {
+         this.registerNote(action);
+      }
+   }
+
+   /*
+      Devuelve una copia de "action" con la duración "duration". Las notas y los acordes se ligan con la siguiente si "tied" es verdadero.
+   */
+   splitAction(action, duration, tied)
+   {
+      switch(action.type)
+      {
+      case "note":
+         return new Note(action.note, action.octave, duration, action.accidental, tied);
+
+      case "chord":
+         return new Chord(action.notes, duration, tied);
+
+      default:
+         return new Rest(duration);
+      }
+   }
+
+   /*
+      Devuelve la duración del compás actual en semifusas.
+   */
+   getMeasureUnits()
+   {
+      const ts = this.gen.timeSignature;
+
+      return ts.beats * 64 / ts.beatValue;
+   }
+
+   /*
+      Devuelve la duración en semifusas de cada grupo de corcheas.
+      En los compases compuestos (por ejemplo 6/8) un grupo abarca tres figuras del denominador; en los demás, un pulso.
+   */
+   getBeamGroupUnits()
+   {
+      const ts = this.gen.timeSignature;
+      const beatUnits = 64 / ts.beatValue;
+
+      if(ts.beatValue >= 8 && ts.beats % 3 == 0)
+      {
+         return beatUnits * 3;
+      }
+
+      return beatUnits;
+   }
+
+   /*
+      Cierra el compás actual con una barra de compás y comienza el siguiente.
+   */
+   startMeasure()
+   {
+      if(this.gen.quaverSection)
+      {
+         this.createQuaverSection();
+
+         this.gen.quaverSection = false;
+         this.gen.quaverTotalDuration = 0;
+         this.gen.quaverSectionElements = [];
+      }
+
+      this.gen.measure += 1;
+      this.gen.units = 0;
+
+      this.gen.lastAlterations = this.gen.alterations;
+      this.gen.alterations = {};
+
+      /*
+         El número de compás solo se dibuja en el pentagrama superior.
+      */
+      const isUpperStaff = this.gen.staff == 0;
+      this.barlines.push(new Barline(this.getBarlineX(), this.scoreDimensions, isUpperStaff ? this.gen.measure : null));
+
+      if(isUpperStaff)
+      {
+         this.measures.push({
+            number: this.gen.measure,
+            time: this.gen.time
+         });
+      }
+   }
+
+   /*
+      Devuelve la posición horizontal de la barra de compás que precede a la próxima nota.
+      La barra se ubica 14 pixeles antes de la próxima nota, salvo que las notas estén tan juntas que quedaría sobre la anterior: en ese caso se ubica a mitad de camino entre el borde derecho de la nota anterior y la próxima.
+   */
+   getBarlineX()
+   {
+      const x = this.gen.x - 14;
+
+      if(this.gen.lastX == null)
+      {
+         return x;
+      }
+
+      return Math.max(x, (this.gen.lastX + 9 + this.gen.x) / 2);
+   }
+
+   /*
+      Agrega un signo de repetición a la barra de compás de la posición actual, o una barra nueva si no la hay.
+      "kind" es "start" para el comienzo de la sección y "end" para el final.
+   */
+   registerRepeat(kind)
+   {
+      const x = this.getBarlineX();
+      const y = this.scoreDimensions.padding + 0.5;
+
+      var barline = null;
+      for(var i = this.barlines.length - 1; i >= 0; --i)
+      {
+         if(this.barlines[i].y == y)
+         {
+            barline = this.barlines[i].x == x ? this.barlines[i] : null;
+            break;
+         }
+      }
+
+      if(barline == null)
+      {
+         barline = new Barline(x, this.scoreDimensions, null);
+         this.barlines.push(barline);
+      }
+
+      barline.repeat = barline.repeat != null && barline.repeat != kind ? "both" : kind;
+   }
+
+   /*
+      Abre o cierra una casilla de repetición. Las casillas solo se dibujan en el pentagrama superior.
+   */
+   registerVolta(volta)
+   {
+      if(this.gen.staff != 0)
+      {
+         return;
+      }
+
+      if(this.gen.volta != null)
+      {
+         this.voltas.push(new VoltaBracket(this.gen.volta.x, this.scoreDimensions.padding - 30, this.getBarlineX() - 4, this.gen.volta.text));
+         this.gen.volta = null;
+      }
+
+      if(volta.numbers.length > 0)
+      {
+         this.gen.volta = {
+            x: this.getBarlineX(),
+            text: volta.numbers.join(", ") + "."
+         };
+      }
+   }
+
+   /*
+      Desenrolla las repeticiones de cada pentagrama, de modo que cada sección aparezca tantas veces como se toca.
+      Devuelve un nuevo arreglo de acciones, o el mismo arreglo si no hay repeticiones.
+   */
+   expandRepeats(actions)
+   {
+      if(!actions.some(action => action.type == "repeatStart" || action.type == "repeatEnd" || action.type == "volta"))
+      {
+         return actions;
+      }
+
+      const streams = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         streams.push([]);
+      }
+
+      var staff = 0;
+      for(var i = 0; i < actions.length; ++i)
+      {
+         if(actions[i].type == "staff")
+         {
+            staff = Math.min(actions[i].staff, this.staffCount - 1);
+            continue;
+         }
+
+         streams[staff].push(actions[i]);
+      }
+
+      var result = [];
+      for(var i = 0; i < this.staffCount; ++i)
+      {
+         result.push(new Staff(i));
+         result = result.concat(this.unrollRepeats(streams[i]));
+      }
+
+      return result;
+   }
+
+   /*
+      Desenrolla las repeticiones de las acciones de un pentagrama.
+      En el resultado, cada RepeatEnd marca un salto hacia atrás y cada RepeatStart el lugar al que se vuelve, y cada casilla que se toca se cierra con una Volta sin números.
+   */
+   unrollRepeats(actions)
+   {
+      const result = [];
+
+      /*
+         Índice de la primera acción de la sección que se repite, número de pasada actual y veces que ya se llegó a cada RepeatEnd.
+      */
+      var start = 0;
+      var pass = 1;
+      const counts = {};
+
+      var voltaOpen = false;
+      const closeVolta = () => {
+         if(voltaOpen)
+         {
+            result.push(new Volta());
+            voltaOpen = false;
+         }
+      };
+
+      const isRepeat = action => action.type == "repeatStart" || action.type == "repeatEnd" || action.type == "volta";
+
+      var i = 0;
+      while(i < actions.length)
+      {
+         const action = actions[i];
+
+         switch(action.type)
+         {
+         case "repeatStart":
+            closeVolta();
+            result.push(action);
+
+            start = i + 1;
+            pass = 1;
+            i += 1;
+            break;
+
+         case "repeatEnd":
+         {
+            closeVolta();
+
+            const count = counts[i] || 1;
+            if(count < action.times)
+            {
+               counts[i] = count + 1;
+               result.push(action);
+               result.push(new RepeatStart());
+
+               pass = count + 1;
+               i = start;
+            }
+            else
+            {
+               /*
+                  Al terminar las pasadas, las casillas siguientes se comparan con la última pasada.
+               */
+               counts[i] = 0;
+               start = i + 1;
+               i += 1;
+            }
+            break;
+         }
+
+         case "volta":
+            closeVolta();
+
+            if(action.numbers.length > 0 && action.numbers.indexOf(pass) == -1)
+            {
+               /*
+                  La casilla no corresponde a esta pasada: se salta hasta la siguiente repetición o casilla.
+               */
+               i += 1;
+               while(i < actions.length && !isRepeat(actions[i]))
+               {
+                  i += 1;
+               }
+               break;
+            }
+
+            if(action.numbers.length > 0)
+            {
+               result.push(action);
+               voltaOpen = true;
+            }
+
+            i += 1;
+            break;
+
+         default:
+            result.push(action);
+            i += 1;
+         }
+      }
+
+      closeVolta();
+
+      return result;
+   }
+
+   /*
+      Establece una región de la pieza que se repite indefinidamente, desde el instante "start" hasta el instante "end", en milisegundos.
+      Al llegar al final de la región, la animación continúa desde su comienzo sin detenerse.
+   */
+   setLoop(start, end)
+   {
+      if(typeof start != "number" || typeof end != "number" || isNaN(start) || isNaN(end))
+      {
+         throw "start y end deben ser números";
+      }
+
+      start = Math.max(0, start);
+      end = Math.min(this.totalTime, end);
+
+      if(start >= end)
+      {
+         throw "start debe ser menor que end";
+      }
+
+      this.loop = {
+         start: start,
+         end: end
+      };
+   }
+
+   /*
+      Establece una región que se repite desde el comienzo de la nota o el acorde número "first" hasta el final del número "last", contando en orden de tiempo desde 0.
+   */
+   setLoopNotes(first, last)
+   {
+      const count = this.scoreNotes.length;
+
+      if(!Number.isInteger(first) || !Number.isInteger(last) || first < 0 || last >= count || first > last)
+      {
+         throw `first y last deben ser números enteros entre 0 y ${count - 1}, y first no debe ser mayor que last`;
+      }
+
+      const lastNote = this.scoreNotes[last];
+      this.setLoop(this.scoreNotes[first].time, lastNote.time + lastNote.duration);
+   }
+
+   /*
+      Quita la región que se repite.
+   */
+   clearLoop()
+   {
+      this.loop = null;
+   }
+
+   /*
+      Activa o desactiva el modo de práctica. Mientras está activo, la animación se detiene en cada nota o acorde que llega a la línea de reproducción hasta que se tocan todas sus alturas.
+   */
+   setPracticeMode(enabled)
+   {
+      const waiting = this.practice.waiting;
+
+      this.practice.enabled = enabled === true;
+      this.resetPractice(this.timeSinceStart);
+
+      if(waiting)
+      {
+         this.resumePractice();
+      }
 
-      this.timeSinceStart = 0;
-      this.lastTime = 0;
+      this.draw();
    }
 
-   start()
+   /*
+      Conecta una fuente de notas, como KeyboardInput o MidiInput, cuyas notas se envían a "pressNote".
+      Devuelve lo que devuelva el método "connect" de la fuente.
+   */
+   addInput(input)
+   {
+      if(input == null || typeof input.connect != "function" || typeof input.disconnect != "function")
+      {
+         throw "input debe tener los métodos connect y disconnect";
+      }
+
+      if(this.inputs.indexOf(input) != -1)
+      {
+         return;
+      }
+
+      this.inputs.push(input);
+
+      return input.connect(this.inputCallback);
+   }
+
+   /*
+      Desconecta una fuente de notas agregada con "addInput".
+   */
+   removeInput(input)
+   {
+      const index = this.inputs.indexOf(input);
+
+      if(index != -1)
+      {
+         this.inputs.splice(index, 1);
+         input.disconnect();
+      }
+   }
+
+   /*
+      Informa que se tocó la nota "note" (de 0 a 11) en la octava "octave".
+      En el modo de práctica, la nota se compara con el próximo grupo de notas: cuando se tocaron todas sus alturas se marca como correcto y la animación continúa, y cada altura equivocada lo marca como incorrecto.
+      Devuelve true si la nota es correcta.
+   */
+   pressNote(note, octave)
    {
+      if(!Number.isInteger(note) || note < 0 || note > 11)
+      {
+         throw "note debe ser un número entero entre 0 y 11";
+      }
+
+      if(!Number.isInteger(octave))
+      {
+         throw "octave debe ser un número entero";
+      }
+
+      if(this.status == "playing")
+      {
+         this.playedNotes.push({
+            time: this.practice.waiting ? this.timeSinceStart : this.clock.getTime(),
+            note: note,
+            octave: octave
+         });
+      }
+
+      const step = this.getPracticeStep();
+      if(step == null)
+      {
+         return false;
+      }
+
+      const midi = this.getMidiNumber({ note: note, octave: octave });
+      const correct = step.pitches.indexOf(midi) != -1;
+
+      if(!correct)
+      {
+         this.markPracticeStep(step, this.practice.wrongColor);
+      }
+      else if(this.practice.pressed.indexOf(midi) == -1)
+      {
+         this.practice.pressed.push(midi);
+
+         if(this.practice.pressed.length == step.pitches.length)
+         {
+            this.markPracticeStep(step, this.practice.correctColor);
+
+            this.practice.next += 1;
+            this.practice.pressed = [];
+
+            if(this.practice.waiting)
+            {
+               this.resumePractice();
+            }
+         }
+      }
+
+      this.emit("input", {
+         note: note,
+         octave: octave,
+         correct: correct,
+         index: step.index
+      });
+
       if(this.status != "playing")
       {
-         this.status = "playing";
-         this.lastTime = performance.now();
-         this.loopID = setInterval(this.mainLoop.bind(this), 1000 / this.framerate);
+         this.draw();
       }
+
+      return correct;
    }
 
-   pause()
+   /*
+      Agrupa las notas de la pieza por instante de inicio, junto con las alturas que se deben tocar en cada instante.
+      Las notas cuyas alturas solo continúan una ligadura no se esperan.
+   */
+   createPracticeSteps()
    {
-      this.status = "paused";
-      clearInterval(this.loopID);
+      const steps = [];
+
+      for(var i = 0; i < this.scoreNotes.length; ++i)
+      {
+         const scoreNote = this.scoreNotes[i];
+
+         if(scoreNote.pitches.length == 0)
+         {
+            continue;
+         }
+
+         var step = steps.length > 0 ? steps[steps.length - 1] : null;
+         if(step == null || step.time != scoreNote.time)
+         {
+            step = {
+               time: scoreNote.time,
+               index: scoreNote.index,
+               scoreNotes: [],
+               pitches: []
+            };
+
+            steps.push(step);
+         }
+
+         step.scoreNotes.push(scoreNote);
+
+         for(var j = 0; j < scoreNote.pitches.length; ++j)
+         {
+            if(step.pitches.indexOf(scoreNote.pitches[j]) == -1)
+            {
+               step.pitches.push(scoreNote.pitches[j]);
+            }
+         }
+      }
+
+      this.practice.steps = steps;
    }
 
-   stop()
+   /*
+      Devuelve el próximo grupo de notas que se debe tocar, o null si el modo de práctica no está activo o ya no quedan notas.
+   */
+   getPracticeStep()
    {
-      this.status = "stopped";
-      this.reset();
-      clearInterval(this.loopID);
+      const practice = this.practice;
+
+      return practice.enabled && practice.next < practice.steps.length ? practice.steps[practice.next] : null;
    }
 
-   reset()
+   /*
+      Vuelve a esperar todas las notas que comienzan a partir del instante "time" y les quita las marcas.
+   */
+   resetPractice(time)
    {
-      this.context.setTransform();
+      const practice = this.practice;
 
-      this.lastTime = 0;
-      this.timeSinceStart = 0;
+      practice.waiting = false;
+      practice.pressed = [];
+      practice.next = 0;
 
-      this.firstNote = 0;
-      this.lastNote = 0;
-      this.firstLine = 0;
-      this.lastLine = 0;
+      while(practice.next < practice.steps.length && practice.steps[practice.next].time < time)
+      {
+         practice.next += 1;
+      }
 
-      this.currentQuavSect = [];
-      this.lastSect = 0;
+      for(var i = practice.next; i < practice.steps.length; ++i)
+      {
+         this.markPracticeStep(practice.steps[i], null);
+      }
+   }
 
-      this.timeSinceStart = 0;
-      this.dx = 0;
+   markPracticeStep(step, color)
+   {
+      for(var i = 0; i < step.scoreNotes.length; ++i)
+      {
+         this.setScoreNoteMark(step.scoreNotes[i], "practice", color);
+      }
+   }
 
-      this.checkNoteVisualization();
-      this.checkNoteLine();
-      this.checkQuaverSection();
+   /*
+      Detiene el reloj y el sonido hasta que se toque el grupo de notas "step".
+   */
+   waitForStep(step)
+   {
+      this.practice.waiting = true;
+      this.clock.pause();
+
+      if(this.audio != null)
+      {
+         this.audio.pause();
+      }
+
+      this.emit("wait", { index: step.index, time: step.time });
+   }
+
+   /*
+      Retoma la animación detenida por el modo de práctica.
+   */
+   resumePractice()
+   {
+      this.practice.waiting = false;
+
+      if(this.status == "playing")
+      {
+         this.clock.start(this.timeSinceStart);
+
+         if(this.audio != null)
+         {
+            this.audio.play(this.timeSinceStart);
+         }
+      }
+   }
+
+   /*
+      Devuelve las notas que se esperan en una interpretación de la pieza cargada, una por cada altura que se ataca, en orden de tiempo.
+      Cada nota es un objeto con el índice de su nota o acorde en orden de tiempo ("index"), su tiempo de inicio y su duración en milisegundos ("time" y "duration"), su número de nota MIDI ("midi") y su pentagrama ("staff").
+   */
+   getExpectedNotes()
+   {
+      const expected = [];
+
+      for(var i = 0; i < this.scoreNotes.length; ++i)
+      {
+         const scoreNote = this.scoreNotes[i];
+
+         for(var j = 0; j < scoreNote.pitches.length; ++j)
+         {
+            expected.push({
+               index: scoreNote.index,
+               time: scoreNote.time,
+               duration: scoreNote.duration,
+               midi: scoreNote.pitches[j],
+               staff: scoreNote.staff
+            });
+         }
+      }
+
+      return expected;
+   }
+
+   /*
+      Evalúa una interpretación con PerformanceScorer y muestra el resultado en la partitura.
+      "played" (opcional) es el arreglo de notas tocadas; por defecto se usan las notas tocadas con "pressNote" en la última reproducción ("playedNotes").
+      "options" (opcional) son las opciones de PerformanceScorer.
+      Devuelve el resultado de la evaluación.
+   */
+   scorePerformance(played, options)
+   {
+      const result = new PerformanceScorer(options).score(this.getExpectedNotes(), played != undefined ? played : this.playedNotes);
+      this.showPerformance(result);
+
+      return result;
+   }
+
+   /*
+      Muestra en la partitura el resultado de una evaluación. Cada nota o acorde se colorea según su peor estado cuando pasa por la línea de reproducción.
+   */
+   showPerformance(result)
+   {
+      if(typeof result != "object" || result == null || !(result.notes instanceof Array))
+      {
+         throw "result debe ser el resultado de una evaluación";
+      }
+
+      const ranks = { hit: 0, early: 1, late: 1, miss: 2, wrong: 3 };
+      const marks = this.scoreNotes.map(() => null);
+
+      for(var i = 0; i < result.notes.length; ++i)
+      {
+         const note = result.notes[i];
+         const state = note.status == "hit" && note.timing != "onTime" ? note.timing : note.status;
+
+         if(marks[note.index] !== undefined && (marks[note.index] == null || ranks[state] > ranks[marks[note.index]]))
+         {
+            marks[note.index] = state;
+         }
+      }
+
+      this.performance.result = result;
+      this.performance.marks = marks;
+
+      this.applyPerformanceMarks();
       this.draw();
    }
 
    /*
-      Crea una nueva secuencia de notas visuales para reproducir en la animación.
-      "actions" es un arreglo de MusicAction.
+      Quita de la partitura el resultado de la evaluación.
    */
-   setMusicActions(actions)
+   clearPerformance()
    {
-      if(!(actions instanceof Array))
+      if(this.performance.marks == null)
       {
          return;
       }
 
-      /*
-         Propiedades de la generación que se irán modificando con cada MusicAction.
-         "currentTempo" es el tempo con el que se cargará la nota actual.
-         "x" es la posición horizontal en el pentagrama de la nota actual.
-      */
-      this.gen = {
-         currentTempo: 120,
-         time: 0,
-         x: this.playerLinePos,
-         clavier: "g",
+      for(var i = 0; i < this.scoreNotes.length; ++i)
+      {
+         this.setScoreNoteMark(this.scoreNotes[i], "performance", null);
+      }
 
-         /*
-            Propiedades que definen las secciones de corcheas, semicorcheas, fusas y semifusas.
-            Estas secciones se deberán dibujar de una forma especial.
-         */
-         quaverSection: false,
-         quaverTotalDuration: 0,
-         quaverSectionElements: []
-      };
+      this.performance.result = null;
+      this.performance.marks = null;
 
-      for(var i = 0; i < actions.length; ++i)
+      this.draw();
+   }
+
+   /*
+      Colorea las notas que ya pasaron por la línea de reproducción y quita el color de las demás.
+   */
+   applyPerformanceMarks()
+   {
+      if(this.performance.marks == null)
       {
-         switch(actions[i].type)
+         return;
+      }
+
+      for(var i = 0; i < this.scoreNotes.length; ++i)
+      {
+         if(i < this.nextScoreNote)
          {
-         case "note":
-            this.registerNote(actions[i]);
-            break;
+            this.markPerformance(this.scoreNotes[i]);
+         }
+         else
+         {
+            this.setScoreNoteMark(this.scoreNotes[i], "performance", null);
+         }
+      }
+   }
 
-         case "tempo":
-            this.gen.currentTempo = actions[i].tempo;
-            break;
+   markPerformance(scoreNote)
+   {
+      const marks = this.performance.marks;
+
+      if(marks != null)
+      {
+         this.setScoreNoteMark(scoreNote, "performance", marks[scoreNote.index] != null ? this.performance.colors[marks[scoreNote.index]] : null);
+      }
+   }
+
+   setScoreNoteMark(scoreNote, type, color)
+   {
+      for(var i = 0; i < scoreNote.visualNotes.length; ++i)
+      {
+         scoreNote.visualNotes[i].setMark(type, color);
+      }
+   }
+
+   /*
+      Cambia las opciones del resaltado de notas y vuelve a dibujar la partitura. "options" es un objeto con cualquiera de los campos booleanos "active", "played", "glow" y "progress" de "highlight".
+   */
+   setHighlight(options)
+   {
+      if(typeof options != "object" || options == null)
+      {
+         throw "options debe ser un objeto";
+      }
+
+      const names = ["active", "played", "glow", "progress"];
+
+      for(var name in options)
+      {
+         if(names.indexOf(name) == -1)
+         {
+            throw `options: la opción "${name}" no existe`;
+         }
+
+         if(typeof options[name] != "boolean")
+         {
+            throw `options.${name} debe ser un booleano`;
          }
       }
 
-      /*
-         Se dibuja por primera vez para visualizar las notas en la linea de partida.
-      */
-      this.checkNoteVisualization();
-      this.checkNoteLine();
-      this.checkQuaverSection();
-      this.draw();
+      for(var name in options)
+      {
+         this.highlight[name] = options[name];
+      }
+
+      this.applyThemeColors();
+
+      if(this.claviers[0].length > 0)
+      {
+         this.draw();
+      }
    }
 
-   mainLoop()
+   /*
+      Calcula el estado de todas las notas para el instante "time": las que terminaron antes de "time" ya sonaron y las que comenzaron antes y todavía no terminaron están sonando.
+   */
+   resetNoteStates(time)
    {
-      this.update();
-      this.draw();
+      const highlight = this.highlight;
+
+      highlight.notes = [];
+      highlight.next = 0;
+
+      for(var i = 0; i < this.scoreNotes.length; ++i)
+      {
+         const scoreNote = this.scoreNotes[i];
+         var state = null;
+
+         if(scoreNote.time < time)
+         {
+            highlight.next = i + 1;
+            state = scoreNote.time + scoreNote.duration <= time ? "played" : "active";
+         }
+
+         if(state == "active")
+         {
+            highlight.notes.push(scoreNote);
+         }
+
+         this.setScoreNoteState(scoreNote, state);
+      }
    }
 
    /*
-      Controla el rango de notas que deben de ser dibujadas en el frame actual.
-      Esto lo hace verificando las notas que se escapan y entran en la pantalla.
+      Actualiza el estado de las notas que comienzan y terminan de sonar en el instante actual.
    */
-   checkNoteVisualization()
+   checkNoteStates()
    {
-      while(this.lastNote < this.visualNotes.length && this.visualNotes[this.lastNote].x - this.dx < this.canvas.width)
+      const highlight = this.highlight;
+
+      while(highlight.next < this.scoreNotes.length && this.scoreNotes[highlight.next].time <= this.timeSinceStart)
       {
-         this.lastNote += 1;
+         const scoreNote = this.scoreNotes[highlight.next];
+         highlight.next += 1;
+
+         highlight.notes.push(scoreNote);
+         this.setScoreNoteState(scoreNote, "active");
       }
 
-      if(this.firstNote < this.lastNote && this.visualNotes[this.firstNote].x - this.dx < -10)
+      for(var i = 0; i < highlight.notes.length; ++i)
       {
-         this.firstNote += 1;
-         if(this.firstNote == this.visualNotes.length)
+         const scoreNote = highlight.notes[i];
+
+         if(scoreNote.time + scoreNote.duration <= this.timeSinceStart)
          {
-            this.stop();
+            highlight.notes.splice(i, 1);
+            i -= 1;
+
+            this.setScoreNoteState(scoreNote, "played");
          }
       }
    }
 
-   /*
-      Verifica si se debe cambiar de clave en el frame actual.
-   */
-   checkClavier()
+   setScoreNoteState(scoreNote, state)
    {
-      if(this.lastClavier < this.claviers.length - 1 && this.claviers[this.lastClavier + 1].time < this.timeSinceStart)
+      for(var i = 0; i < scoreNote.visualNotes.length; ++i)
       {
-         this.lastClavier += 1;
+         scoreNote.visualNotes[i].state = state;
+         this.paintVisualNote(scoreNote.visualNotes[i]);
       }
    }
 
-   checkNoteLine()
+   /*
+      Colorea la nota, su plica y la parte de sus barras que le corresponde según su estado, de modo que las notas vecinas conservan sus propios colores.
+   */
+   paintVisualNote(visualNote)
    {
-      while(this.lastLine < this.noteLines.length && this.noteLines[this.lastLine].x - this.dx < this.canvas.width)
+      const color = this.getStateColor(visualNote.state);
+
+      visualNote.setColor(color);
+
+      if(visualNote.stem != null)
       {
-         this.lastLine += 1;
+         visualNote.stem.color = color;
       }
 
-      if(this.firstLine < this.lastLine && this.noteLines[this.firstLine].x - this.dx < -10)
+      for(var i = 0; i < visualNote.beams.length; ++i)
       {
-         this.firstLine += 1;
+         const beam = visualNote.beams[i];
+         beam.noteColors[beam.notes.indexOf(visualNote)] = color;
       }
    }
 
-   checkQuaverSection()
+   getStateColor(state)
    {
-      var lastSect = this.lastSect;
-      for(var i = lastSect; i < this.quaverSections.length && i < lastSect + 4; ++i)
+      if(state == "active" && this.highlight.active)
       {
-         if(this.quaverSections[i].x - this.dx < this.canvas.width)
-         {
-            this.currentQuavSect.push(this.quaverSections[i]);
-            this.lastSect += 1;
-         }
-         else break;
+         return this.theme.highlightColor;
       }
 
-      var toDelete = 0;
-      for(var i = 0; i < this.currentQuavSect.length && i < 4; ++i)
+      if(state == "played" && this.highlight.played)
       {
-         if(this.currentQuavSect[i].toX - this.dx < -10)
-         {
-            toDelete += 1;
-         }
-         else break;
+         return this.theme.playedColor;
       }
-      this.currentQuavSect.splice(0, toDelete);
+
+      return this.theme.color;
    }
 
-   update()
+   /*
+      Aplica un cambio de armadura.
+   */
+   registerKeySignature(keySignature)
    {
-      const currentTime = performance.now();
-      const deltaTime = currentTime - this.lastTime;
-      this.lastTime = currentTime;
+      this.gen.keySignature = keySignature.fifths;
 
-      this.checkNoteVisualization();
-      this.checkClavier();
-      this.checkNoteLine();
-      this.checkQuaverSection();
+      const keySignatures = this.keySignatures[this.gen.staff];
+      const last = keySignatures.length - 1;
+
+      if(keySignatures[last].fifths == keySignature.fifths)
+      {
+         return;
+      }
 
-      const dx = this.velocity * deltaTime / 1000;
-      this.dx += dx;
-      this.context.translate(-dx, 0);
+      if(keySignatures[last].time == this.gen.time)
+      {
+         keySignatures.pop();
+      }
 
-      this.timeSinceStart += deltaTime;
+      keySignatures.push({
+         fifths: keySignature.fifths,
+         time: this.gen.time
+      });
    }
 
-   draw()
+   /*
+      Devuelve la alteración (-1, 0 o 1) que la armadura actual le aplica al nombre de nota "step".
+   */
+   getKeyAlteration(step)
    {
-      this.context.save();
-      this.context.setTransform();
-
-      this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
-      this.drawScoreLines(this.context, this.canvas.width);
+      const fifths = this.gen.keySignature;
 
-      this.context.restore();
+      if(fifths > 0 && this.sharpOrder.indexOf(step) < fifths) return 1;
+      if(fifths < 0 && this.flatOrder.indexOf(step) < -fifths) return -1;
 
-      this.drawNotes(this.context);
-      this.drawNoteLines(this.context);
-      this.drawQuaverSections(this.context);
+      return 0;
+   }
 
-      this.context.save();
-      this.context.setTransform();
+   /*
+      Aplica un cambio de compás. Si el compás actual no terminó, se cierra antes del cambio.
+   */
+   registerTimeSignature(timeSignature)
+   {
+      if(this.gen.timeSignature != null && this.gen.units > 0)
+      {
+         this.startMeasure();
+      }
 
-      this.drawPlayerLine(this.context);
-      this.drawClavier(this.context);
+      this.gen.timeSignature = timeSignature;
+      this.gen.units = 0;
 
-      this.context.restore();
-   }
-   
-   drawScoreLines(context, width)
-   {
-      for(var i = 0; i < 5; ++i)
+      if(this.gen.staff == 0 && this.measures.length == 0)
       {
-         context.beginPath();
-         context.moveTo(0, this.canvasPadding + i * 7 + 0.5);
-         context.lineTo(width, this.canvasPadding + i * 7 + 0.5);
-         context.strokeStyle = "black";
-         context.lineWidth = 1;
-         context.stroke();
+         this.measures.push({
+            number: this.gen.measure,
+            time: this.gen.time
+         });
       }
-   }
 
-   drawPlayerLine(context)
-   {
-      context.beginPath();
-      context.moveTo(this.playerLinePos, this.canvasPadding - 10);
-      context.lineTo(this.playerLinePos, this.canvasPadding + this.scoreHeight + 10);
-      context.strokeStyle = this.playerLineColor;
-      context.lineWidth = 2;
-      context.stroke();
-   }
+      const timeSignatures = this.timeSignatures[this.gen.staff];
+      const last = timeSignatures.length - 1;
 
-   drawNotes(context)
-   {
-      for(var i = this.firstNote; i < this.lastNote; ++i)
+      if(last >= 0 && timeSignatures[last].time == this.gen.time)
       {
-         this.visualNotes[i].draw(context);
+         timeSignatures.pop();
       }
+
+      timeSignatures.push({
+         beats: timeSignature.beats,
+         beatValue: timeSignature.beatValue,
+         time: this.gen.time
+      });
    }
 
-   drawNoteLines(context)
+   /*
+      Encuentra el símbolo o la combinación adecuada de símbolos cuyas duraciones sumadas sean igual a "duration".
+      Devuelve un arreglo de objetos con el índice del símbolo ("id", desde la redonda hasta la semifusa), su cantidad de puntillos ("dots") y su duración en semifusas ("units").
+      Siempre se prefiere la figura más larga posible, con puntillos si estos completan la duración restante.
+   */
+   getDurationSymbols(duration)
    {
-      for(var i = this.firstLine; i < this.lastLine; ++i)
+      const symbols = [];
+
+      var r = duration;
+      var i = 0;
+      while(r > 0 && i < this.noteFraqDuration.length)
       {
-         this.noteLines[i].draw(context);
+         const d = this.noteFraqDuration[i];
+
+         if(d > r)
+         {
+            ++i;
+            continue;
+         }
+
+         var dots = 0;
+         if(d % 4 == 0 && r >= d * Dots.getFactor(2))
+         {
+            dots = 2;
+         }
+         else if(d % 2 == 0 && r >= d * Dots.getFactor(1))
+         {
+            dots = 1;
+         }
+
+         symbols.push({ id: i, dots: dots, units: d * Dots.getFactor(dots) });
+         r -= d * Dots.getFactor(dots);
       }
+
+      return symbols;
    }
 
-   drawQuaverSections(context)
+   /*
+      Elige la clave para un conjunto de alturas.
+   */
+   getAutoClavier(pitches)
    {
-      for(var i = 0; i < this.currentQuavSect.length; ++i)
+      /*
+         Cada nota tiene un identificador numérico único dentro del sistema occidental.
+         Los acordes se identifican por el promedio de sus notas.
+      */
+      var noteID = 0;
+      for(var i = 0; i < pitches.length; ++i)
       {
-         this.currentQuavSect[i].draw(context);
+         noteID += pitches[i].note + pitches[i].octave * 12;
       }
+      noteID /= pitches.length;
+
+      /*
+         Se le asigna la clave de Fa a las notas de las tres octavas más graves y a todas las demás se le asigna la clave de Sol.
+      */
+      if(noteID < 12 * 3) return "f";
+
+      return "g";
    }
 
-   drawClavier(context)
+   /*
+      Devuelve las líneas adicionales necesarias para las notas entre las posiciones "lowPos" y "highPos", o null si no se necesita ninguna.
+   */
+   createLedgerLines(lowPos, highPos)
    {
-      const clavier = this.claviers[this.lastClavier].clavier;
+      const ys = [];
 
-      context.fillStyle = "white";
-      context.fillRect(0, 0, 52, this.canvas.height);
+      for(var pos = -2; pos >= lowPos; pos -= 2)
+      {
+         ys.push(this.scoreDimensions.getPosY(pos));
+      }
 
-      this.drawScoreLines(context, 52);
+      for(var pos = 10; pos <= highPos; pos += 2)
+      {
+         ys.push(this.scoreDimensions.getPosY(pos));
+      }
 
-      context.drawImage(this.imgs[clavier + "_clavier"][0], 15, 10);
+      return ys.length > 0 ? new LedgerLines(ys) : null;
    }
 
-   registerNote(note)
+   /*
+      Crea las notas visuales de una nota o de un acorde.
+      "tiedPitches" son las alturas que continúan una ligadura de la nota anterior, a las que no se les repite la alteración.
+   */
+   createVisualNotes(note, tiedPitches)
    {
-      var vn = this.createVisualNotes(note);
+      const symbols = this.getDurationSymbols(note.duration);
+      const pitches = this.getActionPitches(note);
 
-      var changedClavier = false;
-
-      if(this.claviers.length == 0)
+      if(this.gen.autoClavier)
       {
-         this.claviers.push({
-            clavier: this.gen.clavier,
-            time: 0
-         });
+         this.gen.clavier = this.getAutoClavier(pitches);
       }
-      else if(this.claviers[this.claviers.length - 1].clavier != this.gen.clavier)
-      {
-         this.claviers.push({
-            clavier: this.gen.clavier,
-            time: this.gen.time
-         });
 
-         changedClavier = true;
-      }
+      const clavier = this.gen.clavier;
 
-      for(var i = 0; i < vn.length; ++i)
+      if(note.type == "chord")
       {
-         var visualNote = vn[i];
-
-         this.noteTime.push(this.gen.time);
-         this.gen.time += visualNote.duration * 1000;
-
-         visualNote.x = this.gen.x;
+         return this.createVisualChords(note, symbols, clavier, tiedPitches);
+      }
 
-         this.gen.x += visualNote.duration * this.velocity;
+      const accidental = this.getNoteAccidental(note);
+      const tied = tiedPitches.length > 0;
 
-         this.visualNotes.push(visualNote);
+      var visualNotes = [];
+      for(var i = 0; i < symbols.length; ++i)
+      {
+         const id = symbols[i].id;
+         const verticalPos = this.getNoteVerticalPos(note, clavier);
+         const symbol = verticalPos > 3 ? this.noteSymbols[id][1] : this.noteSymbols[id][0];
 
-         var timeFactor = 120 / this.gen.currentTempo;
+         var visualNote = new VisualNote(
+            symbol,
+            this.gen.currentTempo,
+            verticalPos,
+            this.scoreDimensions,
+            id,
+            symbols[i].dots
+         );
+         visualNote.units = symbols[i].units;
 
          /*
-            Verificar si está activa una sección de corcheas.
+            Solo el primer símbolo de la nota lleva la alteración.
          */
-         if(this.gen.quaverSection)
+         if(i == 0 && !tied && accidental != null)
          {
-            /*
-               Si la duración de la nota actual supera la duración de una corchea.
-            */
-            if(visualNote.duration > this.noteDuration[3] * timeFactor)
-            {
-               this.createQuaverSection();
-
-               this.gen.quaverSection = false;
-               this.gen.quaverTotalDuration = 0;
-               this.gen.quaverSectionElements = [];
-
-               continue;
-            }
-
-            this.gen.quaverTotalDuration += visualNote.duration;
-
-            if(changedClavier || this.gen.quaverTotalDuration > 1 * timeFactor)
-            {
-               this.createQuaverSection();
-
-               this.gen.quaverSection = false;
-               this.gen.quaverTotalDuration = 0;
-               this.gen.quaverSectionElements = [];
-            }
-            else
-            {
-               this.gen.quaverSectionElements.push(visualNote);
-            }
+            visualNote.accidental = new Accidental(accidental, this.scoreDimensions.getPosY(verticalPos));
          }
 
-         if(!this.gen.quaverSection && visualNote.duration <= this.noteDuration[3] * timeFactor)
-         {
-            this.gen.quaverSection = true;
-            this.gen.quaverTotalDuration += visualNote.duration;
-            this.gen.quaverSectionElements.push(visualNote);
-         }
+         visualNote.ledgerLines = this.createLedgerLines(verticalPos, verticalPos);
+
+         visualNotes.push(visualNote);
       }
+
+      return visualNotes;
    }
 
-   createVisualNotes(note)
+   /*
+      Crea las notas visuales de un acorde, una por cada símbolo en el que se divide su duración.
+      Cada nota visual toma la posición de la nota del acorde más cercana a la punta de la plica.
+   */
+   createVisualChords(chord, symbols, clavier, tiedPitches)
    {
-      const symbolIds = [];
+      const positions = [];
+      const accidentals = [];
 
-      /*
-         En la siguiente sección se encuentra el o la combinación adecuada de símbolos cuyas duraciones sumadas sean igual a la duración de la nota actual.
-      */
-      var r = note.duration;
-      for(var i = 0; i < this.noteFraqDuration.length; ++i)
+      for(var i = 0; i < chord.notes.length; ++i)
       {
-         if(this.noteFraqDuration[i] <= r)
-         {
-            symbolIds.push(i);
-            r -= this.noteFraqDuration[i];
-            if(r == 0) break;
-         }
+         const accidental = this.getNoteAccidental(chord.notes[i]);
+
+         positions.push(this.getNoteVerticalPos(chord.notes[i], clavier));
+         accidentals.push(tiedPitches.indexOf(chord.notes[i]) == -1 ? accidental : null);
       }
 
-      /*
-         Cada nota tiene un identificador numérico único dentro del sistema occidental.
-      */
-      const noteID = note.note + note.octave * 12;
+      const highPos = Math.max.apply(null, positions);
+      const lowPos = Math.min.apply(null, positions);
 
       /*
-         Se le asigna la clave de Fa a las notas de las tres octavas más graves y a todas las demás se le asigna la clave de Sol.
+         La plica va hacia abajo si la nota más aguda está más lejos de la tercera línea que la más grave.
       */
-      var clavier;
-      if(noteID < 12 * 3) clavier = "f";
-      else clavier = "g";
-
-      this.gen.clavier = clavier;
+      const direction = highPos + lowPos >= 8 ? "down" : "up";
+      const mainPos = direction == "up" ? highPos : lowPos;
 
       var visualNotes = [];
-      for(var i = 0; i < symbolIds.length; ++i)
+      for(var i = 0; i < symbols.length; ++i)
       {
-         const id = symbolIds[i];
-         const verticalPos = this.getNoteVerticalPos(note, clavier);
-         const symbol = verticalPos > 3 ? this.noteSymbols[id][1] : this.noteSymbols[id][0];
+         const id = symbols[i].id;
+         const symbol = direction == "down" ? this.noteSymbols[id][1] : this.noteSymbols[id][0];
 
-         visualNotes.push(new VisualNote(
+         var visualNote = new VisualNote(
             symbol,
             this.gen.currentTempo,
-            verticalPos,
-            this.scoreDimensions
-         ));
+            mainPos,
+            this.scoreDimensions,
+            id,
+            symbols[i].dots
+         );
+         visualNote.units = symbols[i].units;
+
+         visualNote.highPos = highPos;
+         visualNote.lowPos = lowPos;
+         visualNote.chord = new ChordHeads(
+            positions,
+            i == 0 ? accidentals : [],
+            id,
+            symbols[i].dots,
+            this.scoreDimensions,
+            direction
+         );
+         visualNote.ledgerLines = this.createLedgerLines(lowPos, highPos);
+
+         visualNotes.push(visualNote);
       }
 
       return visualNotes;
    }
 
+   /*
+      Devuelve el nombre de la nota (0 para do, 1 para re, ..., 6 para si) y su alteración (-1, 0 o 1), según cómo se deba escribir.
+      Si la nota no indica cómo escribirse, las teclas negras toman la alteración de la armadura "fifths": bemol en las armaduras con bemoles y sostenido en las demás. Por defecto, "fifths" es la armadura actual de la generación.
+   */
+   getNoteSpelling(note, fifths)
+   {
+      if(!this.blackKeys[note.note])
+      {
+         return { step: this.noteVerticalPos[note.note], alter: 0 };
+      }
+
+      if(fifths == undefined)
+      {
+         fifths = this.gen != undefined ? this.gen.keySignature : 0;
+      }
+
+      const accidental = note.accidental != undefined ? note.accidental : (fifths < 0 ? "flat" : "sharp");
+
+      if(accidental == "flat")
+      {
+         return { step: this.noteVerticalPosFlat[note.note], alter: -1 };
+      }
+
+      return { step: this.noteVerticalPos[note.note], alter: 1 };
+   }
+
+   /*
+      Decide qué alteración se debe dibujar delante de una nota: "sharp", "flat", "natural" o null si no lleva ninguna.
+      La alteración esperada de cada nota es la que indica la armadura.
+      Sin compás, las notas que se apartan de la armadura siempre muestran su alteración, y las que vuelven a ella la muestran si la última nota escrita en la misma posición se había apartado.
+      Con compás, una alteración vale hasta el final del compás, y la primera nota de un compás que respeta la armadura lleva una alteración de precaución si la misma posición se había apartado de ella en el compás anterior.
+   */
+   getNoteAccidental(note)
+   {
+      const spelling = this.getNoteSpelling(note);
+      const position = note.octave * 7 + spelling.step;
+      const expected = this.getKeyAlteration(spelling.step);
+
+      const current = this.gen.alterations[position];
+      this.gen.alterations[position] = spelling.alter;
+
+      const last = this.gen.lastAlterations[position];
+
+      var show;
+      if(this.gen.timeSignature == null)
+      {
+         show = spelling.alter != expected || (current != undefined && current != expected);
+      }
+      else if(current != undefined)
+      {
+         show = spelling.alter != current;
+      }
+      else
+      {
+         show = spelling.alter != expected || (last != undefined && last != expected);
+      }
+
+      if(!show) return null;
+
+      if(spelling.alter == 1) return "sharp";
+      if(spelling.alter == -1) return "flat";
+
+      return "natural";
+   }
+
    createQuaverSection()
    {
       if(this.gen.quaverSectionElements.length <= 1)
@@ -781,8 +6689,6 @@ class AnimatedScore
          return;
       }
 
-      var timeFactor = 120 / this.gen.currentTempo;
-
       var majorVerticalPos = -100;
       var minorVerticalPos = 100;
       var majorID = 0;
@@ -792,14 +6698,14 @@ class AnimatedScore
       {
          var visualNote = this.gen.quaverSectionElements[i];
 
-         if(visualNote.verticalPos > majorVerticalPos)
+         if(visualNote.highPos > majorVerticalPos)
          {
-            majorVerticalPos = visualNote.verticalPos;
+            majorVerticalPos = visualNote.highPos;
             majorID = i;
          }
-         if(visualNote.verticalPos < minorVerticalPos)
+         if(visualNote.lowPos < minorVerticalPos)
          {
-            minorVerticalPos = visualNote.verticalPos;
+            minorVerticalPos = visualNote.lowPos;
             minorID = i;
          }
 
@@ -837,49 +6743,61 @@ class AnimatedScore
 
       var x, y, toX, toY;
 
+      /*
+         La barra se ubica respecto de la cabeza más alejada de ella. En los acordes, esa cabeza no es necesariamente la de la nota visual.
+      */
       if(sectionDirection == "up")
       {
          x = this.gen.quaverSectionElements[0].x + 8.5;
-         y = this.gen.quaverSectionElements[majorID].y - 18;
+         y = this.scoreDimensions.getPosY(majorVerticalPos) - 3 - 18;
          toX = this.gen.quaverSectionElements[l].x + 8.5;
          toY = y;
       }
       else
       {
          x = this.gen.quaverSectionElements[0].x;
-         y = this.gen.quaverSectionElements[minorID].y + 6 + 18;
+         y = this.scoreDimensions.getPosY(minorVerticalPos) - 3 + 6 + 18;
          toX = this.gen.quaverSectionElements[l].x;
          toY = y;
       }
 
-      this.quaverSections.push(new QuaverSection(x, y, toX, toY));
+      this.addQuaverSection(new QuaverSection(x, y, toX, toY), this.gen.quaverSectionElements);
 
       for(var i = 0; i < this.gen.quaverSectionElements.length; ++i)
       {
          var visualNote = this.gen.quaverSectionElements[i];
 
+         if(visualNote.chord != null)
+         {
+            visualNote.chord.beam(sectionDirection);
+         }
+
          var lineLarge;
 
          if(sectionDirection == "up")
          {
-            lineLarge = y - visualNote.y;
+            const lineY = this.scoreDimensions.getPosY(visualNote.lowPos) - 3;
+            lineLarge = y - lineY;
 
-            this.noteLines.push(new NoteLine(
+            visualNote.stem = new NoteLine(
                visualNote.x + 8.5,
-               visualNote.y,
+               lineY,
                lineLarge
-            ));
+            );
          }
          else
          {
-            lineLarge = visualNote.y - y;
+            const lineY = this.scoreDimensions.getPosY(visualNote.highPos) - 3;
+            lineLarge = lineY - y;
 
-            this.noteLines.push(new NoteLine(
+            visualNote.stem = new NoteLine(
                visualNote.x,
-               visualNote.y,
+               lineY,
                -lineLarge
-            ));
+            );
          }
+
+         this.noteLines.push(visualNote.stem);
       }
 
       var currentNoteId = 4;
@@ -892,11 +6810,11 @@ class AnimatedScore
          {
             var visualNote = this.gen.quaverSectionElements[i];
 
-            if(visualNote.duration == this.noteDuration[currentNoteId] * timeFactor)
+            if(visualNote.symbolId == currentNoteId)
             {
                quaverPattern.push(1);
             }
-            else if(visualNote.duration < this.noteDuration[currentNoteId] * timeFactor)
+            else if(visualNote.symbolId > currentNoteId)
             {
                quaverPattern.push(0);
             }
@@ -975,7 +6893,7 @@ class AnimatedScore
                   sToY = sy;
                }
 
-               this.quaverSections.push(new QuaverSection(sx, sy, sToX, sToY));
+               this.addQuaverSection(new QuaverSection(sx, sy, sToX, sToY), [visualNote]);
                continue;
             }
 
@@ -996,20 +6914,36 @@ class AnimatedScore
             }
             sToY = sy;
 
-            this.quaverSections.push(new QuaverSection(sx, sy, sToX, sToY));
+            this.addQuaverSection(new QuaverSection(sx, sy, sToX, sToY), sectionsToAdd[i].map(id => this.gen.quaverSectionElements[id]));
          }
 
          ++currentNoteId;
       }
    }
 
+   /*
+      Agrega la barra "section" que une a las notas visuales "notes".
+   */
+   addQuaverSection(section, notes)
+   {
+      section.notes = notes.slice();
+      section.noteColors = notes.map(() => null);
+
+      for(var i = 0; i < notes.length; ++i)
+      {
+         notes[i].beams.push(section);
+      }
+
+      this.quaverSections.push(section);
+   }
+
    /*
       Calcula y devuelve la posición vertical en el pentagrama para una nota.
       Este valor depende de la clave usada.
    */
-   getNoteVerticalPos(note, clavier)
+   getNoteVerticalPos(note, clavier, fifths)
    {
-      var verticalPos = this.noteVerticalPos[note.note];
+      var verticalPos = this.getNoteSpelling(note, fifths).step;
 
       switch(clavier)
       {
@@ -1017,9 +6951,21 @@ class AnimatedScore
          verticalPos += -2 + (note.octave - 3) * 7;
          break;
 
+      case "g8vb":
+         verticalPos += -2 + (note.octave - 2) * 7;
+         break;
+
       case "f":
          verticalPos += -4 + (note.octave - 1) * 7;
          break;
+
+      case "alto":
+         verticalPos += 4 + (note.octave - 3) * 7;
+         break;
+
+      case "tenor":
+         verticalPos += 6 + (note.octave - 3) * 7;
+         break;
       }
 
       return verticalPos;
@@ -0,0 +1,472 @@
+/*
+   Animated Score - Importación de archivos MIDI
+   Joaquín Ruaimi
+   https://github.com/joaquinrmi/animated-score
+*/
+
+/*
+   Esta clase lee archivos MIDI estándar (formatos 0 y 1) y los convierte en un arreglo de MusicAction que puede cargarse con "AnimatedScore.setMusicActions()".
+   Requiere que "animated_score.js" se haya cargado antes.
+*/
+class MidiImporter
+{
+   /*
+      "options" es un objeto con los siguientes campos, todos opcionales:
+         > track: (number) índice de la pista de la que se leen las notas. Por defecto se leen todas las pistas.
+         > channel: (number) canal (de 0 a 15) del que se leen las notas. Por defecto se leen todos los canales.
+   */
+   constructor(options)
+   {
+      options = typeof options == "object" && options != null ? options : {};
+
+      this.track = typeof options.track == "number" ? options.track : null;
+      this.channel = typeof options.channel == "number" ? options.channel : null;
+   }
+
+   /*
+      Lee el archivo contenido en "buffer" (ArrayBuffer).
+      Devuelve un objeto con los campos:
+         > actions: el arreglo de MusicAction.
+         > warnings: los problemas encontrados durante la conversión. Cada uno es un objeto con un mensaje ("message") y, si corresponde, la posición en ticks ("tick") y la pista ("track").
+         > tracks: la información de cada pista del archivo (índice, nombre, canales utilizados y cantidad de notas), útil para elegir qué pista importar.
+   */
+   read(buffer)
+   {
+      if(!(buffer instanceof ArrayBuffer))
+      {
+         throw "buffer debe ser un ArrayBuffer";
+      }
+
+      this.view = new DataView(buffer);
+      this.pos = 0;
+      this.warnings = [];
+
+      /*
+         Final del bloque que se está leyendo y error que se lanza si sus datos terminan antes de lo esperado.
+      */
+      this.end = buffer.byteLength;
+      this.endError = "el archivo MIDI está incompleto";
+
+      if(this.readString(4) != "MThd")
+      {
+         throw "el archivo no es un archivo MIDI";
+      }
+
+      const headerLength = this.readUint32();
+      const headerEnd = this.pos + headerLength;
+      const format = this.readUint16();
+      const trackCount = this.readUint16();
+      this.division = this.readUint16();
+      this.pos = headerEnd;
+
+      if(format > 1)
+      {
+         throw "solo se admiten archivos MIDI de formato 0 y 1";
+      }
+
+      if(this.division & 0x8000)
+      {
+         throw "no se admiten archivos MIDI con división de tiempo SMPTE";
+      }
+
+      /*
+         Eventos de todas las pistas, con su posición absoluta en ticks.
+      */
+      this.notes = [];
+      this.metaEvents = [];
+
+      const tracks = [];
+      for(var i = 0; i < trackCount && this.pos < this.view.byteLength; ++i)
+      {
+         tracks.push(this.readTrack(i));
+      }
+
+      if(this.track != null && (this.track < 0 || this.track >= tracks.length))
+      {
+         throw `el archivo no tiene una pista ${this.track}`;
+      }
+
+      const notes = this.notes.filter(note =>
+         (this.track == null || note.track == this.track) && (this.channel == null || note.channel == this.channel)
+      );
+
+      if(notes.length == 0)
+      {
+         this.warnings.push({ message: "no se encontraron notas en la pista o el canal seleccionados" });
+      }
+
+      return {
+         actions: this.createActions(notes),
+         warnings: this.warnings,
+         tracks: tracks
+      };
+   }
+
+   /*
+      Lee una pista completa y devuelve su información.
+   */
+   readTrack(index)
+   {
+      this.endError = `la pista ${index} está incompleta`;
+
+      if(this.readString(4) != "MTrk")
+      {
+         throw `la pista ${index} no es válida`;
+      }
+
+      const length = this.readUint32();
+      const end = this.pos + length;
+      this.end = Math.min(end, this.view.byteLength);
+
+      const info = {
+         index: index,
+         name: "",
+         channels: [],
+         noteCount: 0
+      };
+
+      /*
+         Notas que todavía no terminaron, indexadas por canal y número de nota.
+      */
+      const active = {};
+
+      var tick = 0;
+      var status = 0;
+
+      while(this.pos < end)
+      {
+         tick += this.readVariableLength();
+
+         this.checkRemaining(1);
+         var byte = this.view.getUint8(this.pos);
+         if(byte & 0x80)
+         {
+            status = byte;
+            this.pos += 1;
+         }
+         else if(status == 0)
+         {
+            throw `la pista ${index} tiene un evento sin estado`;
+         }
+
+         if(status == 0xFF)
+         {
+            this.checkRemaining(1);
+            const type = this.view.getUint8(this.pos);
+            this.pos += 1;
+
+            const dataLength = this.readVariableLength();
+            const dataStart = this.pos;
+            this.checkRemaining(dataLength);
+
+            if(type == 0x03)
+            {
+               info.name = this.readString(dataLength);
+            }
+            else if(type == 0x51 && dataLength >= 3)
+            {
+               const microseconds = (this.view.getUint8(dataStart) << 16) | (this.view.getUint8(dataStart + 1) << 8) | this.view.getUint8(dataStart + 2);
+               this.metaEvents.push({ tick: tick, action: new Tempo(Math.round(60000000 / microseconds)) });
+            }
+            else if(type == 0x58 && dataLength >= 2)
+            {
+               this.metaEvents.push({ tick: tick, action: new TimeSignature(this.view.getUint8(dataStart), Math.pow(2, this.view.getUint8(dataStart + 1))) });
+            }
+            else if(type == 0x59 && dataLength >= 2)
+            {
+               this.metaEvents.push({ tick: tick, action: new KeySignature(this.view.getInt8(dataStart), this.view.getUint8(dataStart + 1) == 1 ? "minor" : "major") });
+            }
+            else if(type == 0x2F)
+            {
+               this.pos = dataStart + dataLength;
+               break;
+            }
+
+            this.pos = dataStart + dataLength;
+
+            /*
+               Los eventos meta y de sistema no establecen un estado para los eventos siguientes.
+            */
+            status = 0;
+            continue;
+         }
+
+         if(status == 0xF0 || status == 0xF7)
+         {
+            const dataLength = this.readVariableLength();
+            this.checkRemaining(dataLength);
+            this.pos += dataLength;
+            status = 0;
+            continue;
+         }
+
+         const command = status & 0xF0;
+         const channel = status & 0x0F;
+
+         if(command == 0xC0 || command == 0xD0)
+         {
+            this.checkRemaining(1);
+            this.pos += 1;
+            continue;
+         }
+
+         this.checkRemaining(2);
+         const midi = this.view.getUint8(this.pos);
+         const velocity = this.view.getUint8(this.pos + 1);
+         this.pos += 2;
+
+         if(command != 0x80 && command != 0x90)
+         {
+            continue;
+         }
+
+         const key = channel * 128 + midi;
+
+         if(active[key] != undefined)
+         {
+            active[key].end = tick;
+            delete active[key];
+         }
+
+         if(command == 0x90 && velocity > 0)
+         {
+            const note = {
+               midi: midi,
+               channel: channel,
+               track: index,
+               start: tick,
+               end: tick
+            };
+
+            active[key] = note;
+            this.notes.push(note);
+
+            info.noteCount += 1;
+            if(info.channels.indexOf(channel) == -1)
+            {
+               info.channels.push(channel);
+            }
+         }
+      }
+
+      for(var key in active)
+      {
+         active[key].end = tick;
+         this.warnings.push({ message: "una nota no terminó antes del final de la pista", tick: active[key].start, track: index });
+      }
+
+      this.pos = end;
+      this.end = this.view.byteLength;
+      this.endError = "el archivo MIDI está incompleto";
+
+      return info;
+   }
+
+   /*
+      Convierte las notas y los eventos meta en el arreglo de MusicAction.
+      Las notas que comienzan juntas forman un acorde y los espacios entre ellas se completan con silencios.
+   */
+   createActions(notes)
+   {
+      const groups = [];
+
+      for(var i = 0; i < notes.length; ++i)
+      {
+         const note = notes[i];
+         const start = this.toUnits(note.start);
+         const end = this.toUnits(note.end);
+
+         if(!this.isOnGrid(note.start) || !this.isOnGrid(note.end))
+         {
+            this.warnings.push({ message: "una nota no coincide con la grilla de semifusas y se redondeó", tick: note.start, track: note.track });
+         }
+
+         if(end <= start)
+         {
+            this.warnings.push({ message: "se descartó una nota más corta que una semifusa", tick: note.start, track: note.track });
+            continue;
+         }
+
+         if(note.midi < 24 || note.midi >= 108)
+         {
+            this.warnings.push({ message: `se descartó la nota ${note.midi}, que está fuera del rango de octavas de 0 a 6`, tick: note.start, track: note.track });
+            continue;
+         }
+
+         var group = groups.find(g => g.start == start);
+         if(group == undefined)
+         {
+            group = { start: start, duration: end - start, tick: note.start, track: note.track, pitches: [] };
+            groups.push(group);
+         }
+         else if(end - start != group.duration)
+         {
+            this.warnings.push({ message: "notas que comienzan juntas tienen distinta duración; se usa la más corta", tick: note.start, track: note.track });
+            group.duration = Math.min(group.duration, end - start);
+         }
+
+         if(group.pitches.indexOf(note.midi) == -1)
+         {
+            group.pitches.push(note.midi);
+         }
+      }
+
+      groups.sort((a, b) => a.start - b.start);
+
+      const metaEvents = this.metaEvents.map(event => ({ start: this.toUnits(event.tick), tick: event.tick, action: event.action }));
+      metaEvents.sort((a, b) => a.start - b.start);
+
+      const actions = [];
+      var nextMeta = 0;
+      var fifths = 0;
+      var position = 0;
+
+      const addMetaEvents = limit => {
+         while(nextMeta < metaEvents.length && metaEvents[nextMeta].start <= limit)
+         {
+            const event = metaEvents[nextMeta];
+            nextMeta += 1;
+
+            if(event.start < position)
+            {
+               this.warnings.push({ message: "un cambio de tempo, compás o armadura ocurre durante una nota y se aplica en la nota siguiente", tick: event.tick });
+            }
+            else if(event.start > position)
+            {
+               actions.push(new Rest(event.start - position));
+               position = event.start;
+            }
+
+            if(event.action.type == "keySignature")
+            {
+               fifths = event.action.fifths;
+            }
+
+            actions.push(event.action);
+         }
+      };
+
+      for(var i = 0; i < groups.length; ++i)
+      {
+         const group = groups[i];
+
+         addMetaEvents(group.start);
+
+         if(group.start > position)
+         {
+            actions.push(new Rest(group.start - position));
+         }
+
+         var duration = group.duration;
+
+         if(i + 1 < groups.length && group.start + duration > groups[i + 1].start)
+         {
+            this.warnings.push({ message: "una nota se superpone con la siguiente y se acortó", tick: group.tick, track: group.track });
+            duration = groups[i + 1].start - group.start;
+         }
+
+         const accidental = fifths < 0 ? "flat" : "sharp";
+         const pitches = group.pitches.sort((a, b) => a - b).map(midi => new Note(midi % 12, Math.floor(midi / 12) - 2, duration, accidental));
+
+         if(pitches.length == 1)
+         {
+            actions.push(pitches[0]);
+         }
+         else
+         {
+            actions.push(new Chord(pitches, duration));
+         }
+
+         position = group.start + duration;
+      }
+
+      /*
+         Los eventos meta posteriores a la última nota no tienen efecto visible.
+      */
+      return actions;
+   }
+
+   /*
+      Convierte una posición en ticks a la unidad de duración de las notas (la semifusa), redondeando al valor más cercano.
+   */
+   toUnits(tick)
+   {
+      return Math.round(tick * 16 / this.division);
+   }
+
+   /*
+      Indica si una posición en ticks cae exactamente en la grilla de semifusas.
+   */
+   isOnGrid(tick)
+   {
+      return Math.abs(tick * 16 / this.division - this.toUnits(tick)) < 1e-6;
+   }
+
+   /*
+      Lanza el error "endError" si el bloque que se está leyendo no tiene "count" bytes más a partir de la posición actual.
+   */
+   checkRemaining(count)
+   {
+      if(this.pos + count > this.end)
+      {
+         throw this.endError;
+      }
+   }
+
+   readUint16()
+   {
+      this.checkRemaining(2);
+      const value = this.view.getUint16(this.pos);
+      this.pos += 2;
+
+      return value;
+   }
+
+   readUint32()
+   {
+      this.checkRemaining(4);
+      const value = this.view.getUint32(this.pos);
+      this.pos += 4;
+
+      return value;
+   }
+
+   readString(length)
+   {
+      this.checkRemaining(length);
+
+      var text = "";
+      for(var i = 0; i < length; ++i)
+      {
+         text += String.fromCharCode(this.view.getUint8(this.pos + i));
+      }
+
+      this.pos += length;
+
+      return text;
+   }
+
+   /*
+      Lee un número de longitud variable, de hasta cuatro bytes de siete bits cada uno.
+   */
+   readVariableLength()
+   {
+      var value = 0;
+
+      for(var i = 0; i < 4; ++i)
+      {
+         this.checkRemaining(1);
+         const byte = this.view.getUint8(this.pos);
+         this.pos += 1;
+
+         value = (value << 7) | (byte & 0x7F);
+
+         if(!(byte & 0x80))
+         {
+            break;
+         }
+      }
+
+      return value;
+   }
+};
@@ -0,0 +1,541 @@
+/*
+   Animated Score - Importación de documentos MusicXML
+   Joaquín Ruaimi
+   https://github.com/joaquinrmi/animated-score
+*/
+
+/*
+   Esta clase convierte una parte de un documento MusicXML (en formato "partwise") en un arreglo de MusicAction que puede cargarse con "AnimatedScore.setMusicActions()".
+   Requiere que "animated_score.js" se haya cargado antes.
+*/
+class MusicXmlImporter
+{
+   /*
+      "options" es un objeto con los siguientes campos, todos opcionales:
+         > part: (number | string) índice o id de la parte que se importa. Por defecto se importa la primera parte.
+   */
+   constructor(options)
+   {
+      options = typeof options == "object" && options != null ? options : {};
+
+      this.part = typeof options.part == "number" || typeof options.part == "string" ? options.part : 0;
+
+      /*
+         Posición de cada nota dentro de la octava, sin alteraciones.
+      */
+      this.stepValues = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+   }
+
+   /*
+      Lee el documento "source", que puede ser un texto con el contenido del archivo o un objeto Document ya interpretado.
+      Devuelve un objeto con los campos:
+         > actions: el arreglo de MusicAction.
+         > warnings: los elementos que no pudieron representarse. Cada uno es un objeto con un mensaje ("message"), el nombre del elemento ("element") y el número de compás ("measure").
+   */
+   read(source)
+   {
+      var doc = source;
+
+      if(typeof source == "string")
+      {
+         doc = new DOMParser().parseFromString(source, "application/xml");
+      }
+
+      if(doc == null || doc.documentElement == undefined)
+      {
+         throw "source debe ser un texto o un objeto Document";
+      }
+
+      const root = doc.documentElement;
+
+      if(root.tagName == "parsererror" || doc.getElementsByTagName("parsererror").length > 0)
+      {
+         throw "el documento no es un XML válido";
+      }
+
+      if(root.tagName == "score-timewise")
+      {
+         throw "solo se admiten documentos MusicXML en formato partwise";
+      }
+
+      if(root.tagName != "score-partwise")
+      {
+         throw "el documento no es un documento MusicXML";
+      }
+
+      this.warnings = [];
+      this.actions = [];
+
+      /*
+         Hijos de <note> que ya se informaron como no soportados.
+      */
+      this.discardedNoteElements = [];
+
+      const parts = this.getChildren(root, "part");
+
+      var part;
+      if(typeof this.part == "number")
+      {
+         part = parts[this.part];
+      }
+      else
+      {
+         part = parts.find(p => p.getAttribute("id") == this.part);
+      }
+
+      if(part == undefined)
+      {
+         throw `el documento no tiene una parte ${this.part}`;
+      }
+
+      if(parts.length > 1)
+      {
+         this.warn(`solo se importa la parte "${part.getAttribute("id")}" de las ${parts.length} del documento`, "part", null);
+      }
+
+      /*
+         Estado de la lectura. "divisions" es la cantidad de divisiones por negra y "voice" es la única voz que se importa.
+      */
+      this.divisions = 1;
+      this.voice = null;
+      this.lastNote = null;
+
+      const measures = this.getChildren(part, "measure");
+      for(var i = 0; i < measures.length; ++i)
+      {
+         this.readMeasure(measures[i]);
+      }
+
+      return {
+         actions: this.actions,
+         warnings: this.warnings
+      };
+   }
+
+   readMeasure(measure)
+   {
+      this.measure = measure.getAttribute("number");
+
+      const elements = measure.children;
+      for(var i = 0; i < elements.length; ++i)
+      {
+         const element = elements[i];
+
+         switch(element.tagName)
+         {
+         case "note":
+            this.readNote(element);
+            break;
+
+         case "attributes":
+            this.readAttributes(element);
+            break;
+
+         case "direction":
+            this.readDirection(element);
+            break;
+
+         case "sound":
+            this.readSound(element);
+            break;
+
+         case "forward":
+            this.readForward(element);
+            break;
+
+         case "backup":
+            /*
+               Los retrocesos solo se usan para escribir otras voces, que se descartan al leer sus notas.
+            */
+            break;
+
+         case "barline":
+            this.readBarline(element);
+            break;
+
+         case "print":
+            break;
+
+         default:
+            this.warn(`el elemento <${element.tagName}> no está soportado`, element.tagName);
+         }
+      }
+   }
+
+   readNote(element)
+   {
+      const voice = this.getChildText(element, "voice");
+
+      if(this.voice == null)
+      {
+         this.voice = voice;
+      }
+      else if(voice != this.voice)
+      {
+         this.warn(`se descartó una nota de la voz ${voice}; solo se importa la voz ${this.voice}`, "voice");
+         return;
+      }
+
+      if(this.getChild(element, "grace") != null)
+      {
+         this.warn("se descartó una nota de adorno", "grace");
+         return;
+      }
+
+      if(this.getChild(element, "cue") != null)
+      {
+         this.warn("se descartó una nota guía", "cue");
+         return;
+      }
+
+      /*
+         Los hijos de <note> que no se usan, como <notations> (ligaduras de expresión, articulaciones, calderones) o <lyric>, se descartan con una advertencia, una sola vez por cada elemento para no repetirla en cada nota.
+         Los que no cambian lo que se dibuja, como <staff> o <notehead>, se descartan sin advertencia.
+      */
+      const handled = ["pitch", "unpitched", "rest", "duration", "chord", "tie", "voice", "type", "dot", "grace", "cue", "time-modification", "stem", "beam", "accidental", "staff", "notehead", "instrument"];
+      const children = element.children;
+      for(var i = 0; i < children.length; ++i)
+      {
+         const tag = children[i].tagName;
+
+         if(handled.indexOf(tag) == -1 && this.discardedNoteElements.indexOf(tag) == -1)
+         {
+            this.discardedNoteElements.push(tag);
+            this.warn(`el elemento <${tag}> no está soportado`, tag);
+         }
+      }
+
+      if(this.getChild(element, "time-modification") != null)
+      {
+         this.warn("los grupos irregulares no están soportados; su duración se redondeó", "time-modification");
+      }
+
+      const isChord = this.getChild(element, "chord") != null;
+      const duration = isChord && this.lastNote != null ? this.lastNote.duration : this.getDuration(element);
+
+      if(duration <= 0)
+      {
+         this.warn("se descartó una nota más corta que una semifusa", "duration");
+         return;
+      }
+
+      if(this.getChild(element, "rest") != null)
+      {
+         this.actions.push(new Rest(duration));
+         this.lastNote = null;
+         return;
+      }
+
+      const pitch = this.getChild(element, "pitch");
+      if(pitch == null)
+      {
+         this.warn("se descartó una nota sin altura", "unpitched");
+         return;
+      }
+
+      const note = this.readPitch(pitch, duration);
+      if(note == null)
+      {
+         return;
+      }
+
+      note.tied = this.getChildren(element, "tie").some(tie => tie.getAttribute("type") == "start");
+
+      if(isChord && this.lastNote != null)
+      {
+         const last = this.actions[this.lastNoteIndex];
+
+         if(last.type == "chord")
+         {
+            last.notes.push(note);
+            last.tied = last.tied || note.tied;
+         }
+         else
+         {
+            this.actions[this.lastNoteIndex] = new Chord([last, note], last.duration, last.tied || note.tied);
+         }
+
+         return;
+      }
+
+      this.lastNote = note;
+      this.lastNoteIndex = this.actions.length;
+      this.actions.push(note);
+   }
+
+   /*
+      Convierte un elemento <pitch> en un objeto Note, o devuelve null si la altura no puede representarse.
+   */
+   readPitch(pitch, duration)
+   {
+      const step = this.getChildText(pitch, "step");
+      const octave = Number(this.getChildText(pitch, "octave"));
+      var alter = Number(this.getChildText(pitch, "alter") || 0);
+
+      if(this.stepValues[step] == undefined || isNaN(octave))
+      {
+         this.warn("se descartó una nota con una altura inválida", "pitch");
+         return null;
+      }
+
+      if(alter != Math.round(alter))
+      {
+         this.warn("las alteraciones microtonales no están soportadas; se redondearon al semitono más cercano", "alter");
+         alter = Math.round(alter);
+      }
+
+      /*
+         En MusicXML el do central está en la octava 4, mientras que aquí está en la octava 3.
+      */
+      const midi = this.stepValues[step] + alter + (octave + 1) * 12;
+
+      if(midi < 24 || midi >= 108)
+      {
+         this.warn(`se descartó la nota ${step}${octave}, que está fuera del rango de octavas de 0 a 6`, "pitch");
+         return null;
+      }
+
+      return new Note(midi % 12, Math.floor(midi / 12) - 2, duration, alter < 0 ? "flat" : "sharp");
+   }
+
+   readAttributes(element)
+   {
+      const elements = element.children;
+      for(var i = 0; i < elements.length; ++i)
+      {
+         const child = elements[i];
+
+         switch(child.tagName)
+         {
+         case "divisions":
+            this.divisions = Number(child.textContent);
+            break;
+
+         case "key":
+            this.readKey(child);
+            break;
+
+         case "time":
+            this.readTime(child);
+            break;
+
+         case "clef":
+            this.readClef(child);
+            break;
+
+         case "staves":
+            if(Number(child.textContent) > 1)
+            {
+               this.warn("las partes con varios pentagramas no están soportadas; solo se importa la primera voz", "staves");
+            }
+            break;
+
+         default:
+            this.warn(`el elemento <${child.tagName}> no está soportado`, child.tagName);
+         }
+      }
+   }
+
+   readKey(element)
+   {
+      const fifths = this.getChildText(element, "fifths");
+
+      if(fifths == null)
+      {
+         this.warn("las armaduras no tradicionales no están soportadas", "key");
+         return;
+      }
+
+      this.actions.push(new KeySignature(Number(fifths), this.getChildText(element, "mode") == "minor" ? "minor" : "major"));
+   }
+
+   readTime(element)
+   {
+      const beats = Number(this.getChildText(element, "beats"));
+      const beatType = Number(this.getChildText(element, "beat-type"));
+
+      if(!(beats > 0) || !(beatType > 0))
+      {
+         this.warn("las indicaciones de compás compuestas o sin número no están soportadas", "time");
+         return;
+      }
+
+      this.actions.push(new TimeSignature(beats, beatType));
+   }
+
+   readClef(element)
+   {
+      /*
+         Las claves de los demás pentagramas se descartan junto con sus voces.
+      */
+      if(element.getAttribute("number") != null && element.getAttribute("number") != "1")
+      {
+         return;
+      }
+
+      const sign = this.getChildText(element, "sign");
+      const line = this.getChildText(element, "line");
+      const octaveChange = Number(this.getChildText(element, "clef-octave-change") || 0);
+
+      const clefs = {
+         "G2": "g",
+         "G2-1": "g8vb",
+         "F4": "f",
+         "C3": "alto",
+         "C4": "tenor"
+      };
+
+      const clef = clefs[sign + line + (octaveChange != 0 ? octaveChange : "")];
+
+      if(clef == undefined)
+      {
+         this.warn(`la clave ${sign} en línea ${line} no está soportada`, "clef");
+         return;
+      }
+
+      this.actions.push(new Clef(clef));
+   }
+
+   readDirection(element)
+   {
+      const sound = this.getChild(element, "sound");
+
+      if(sound != null)
+      {
+         this.readSound(sound);
+      }
+
+      const types = this.getChildren(element, "direction-type");
+      for(var i = 0; i < types.length; ++i)
+      {
+         const children = types[i].children;
+         for(var j = 0; j < children.length; ++j)
+         {
+            /*
+               La indicación metronómica se dibuja a partir del tempo.
+            */
+            if(children[j].tagName == "metronome" && sound != null)
+            {
+               continue;
+            }
+
+            this.warn(`la indicación <${children[j].tagName}> no está soportada`, children[j].tagName);
+         }
+      }
+   }
+
+   /*
+      Las barras simples y dobles se dibujan según el compás; solo se leen las repeticiones y las casillas.
+      Al final de un compás, la casilla se cierra antes de la repetición, y al comienzo se abre después.
+   */
+   readBarline(element)
+   {
+      const repeat = this.getChild(element, "repeat");
+      const ending = this.getChild(element, "ending");
+
+      if(ending != null && ending.getAttribute("type") != "start")
+      {
+         this.actions.push(new Volta());
+      }
+
+      if(repeat != null)
+      {
+         if(repeat.getAttribute("direction") == "forward")
+         {
+            this.actions.push(new RepeatStart());
+         }
+         else
+         {
+            const times = repeat.getAttribute("times");
+            this.actions.push(new RepeatEnd(times != null ? Number(times) : 2));
+         }
+      }
+
+      if(ending != null && ending.getAttribute("type") == "start")
+      {
+         const numbers = (ending.getAttribute("number") || "").split(/[\s,]+/).map(Number).filter(number => Number.isInteger(number) && number > 0);
+
+         if(numbers.length == 0)
+         {
+            this.warn("se descartó una casilla de repetición sin números de pasada", "ending");
+            return;
+         }
+
+         this.actions.push(new Volta(numbers));
+      }
+   }
+
+   readSound(element)
+   {
+      const tempo = element.getAttribute("tempo");
+
+      if(tempo != null && Number(tempo) > 0)
+      {
+         this.actions.push(new Tempo(Number(tempo)));
+      }
+   }
+
+   /*
+      Un avance en la voz importada equivale a un silencio invisible.
+   */
+   readForward(element)
+   {
+      const voice = this.getChildText(element, "voice");
+
+      if(voice != null && this.voice != null && voice != this.voice)
+      {
+         return;
+      }
+
+      const duration = this.getDuration(element);
+      if(duration > 0)
+      {
+         this.actions.push(new Rest(duration));
+         this.lastNote = null;
+      }
+   }
+
+   /*
+      Devuelve la duración de un elemento en la unidad de duración de las notas (la semifusa).
+   */
+   getDuration(element)
+   {
+      const exact = Number(this.getChildText(element, "duration")) * 16 / this.divisions;
+      const duration = Math.round(exact);
+
+      if(Math.abs(exact - duration) > 1e-6)
+      {
+         this.warn("una duración no coincide con la grilla de semifusas y se redondeó", "duration");
+      }
+
+      return duration;
+   }
+
+   warn(message, element, measure)
+   {
+      this.warnings.push({
+         message: message,
+         element: element,
+         measure: measure !== undefined ? measure : this.measure
+      });
+   }
+
+   getChildren(element, tagName)
+   {
+      return Array.from(element.children).filter(child => child.tagName == tagName);
+   }
+
+   getChild(element, tagName)
+   {
+      const children = this.getChildren(element, tagName);
+
+      return children.length > 0 ? children[0] : null;
+   }
+
+   getChildText(element, tagName)
+   {
+      const child = this.getChild(element, tagName);
+
+      return child != null ? child.textContent.trim() : null;
+   }
+};
@@ -0,0 +1,105 @@
+/*
+   Pruebas de PerformanceScorer, que no depende de la animación ni del navegador.
+   Se ejecutan con "node test/performance_scorer_test.js" desde la raíz del proyecto.
+*/
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/*
+   La biblioteca se carga como en el navegador, con un script clásico, y las clases declaradas quedan visibles para los scripts siguientes.
+*/
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, "..", "src", "animated_score.js"), "utf8"));
+const PerformanceScorer = vm.runInThisContext("PerformanceScorer");
+
+const tests = [];
+
+function test(name, run)
+{
+   tests.push({ name: name, run: run });
+}
+
+function statuses(result)
+{
+   return result.notes.map(note => note.status);
+}
+
+test("empareja notas correctas a tiempo", () => {
+   const expected = [{ index: 0, time: 0, midi: 60 }, { index: 1, time: 500, midi: 62 }];
+   const result = new PerformanceScorer().score(expected, [{ time: 10, midi: 60 }, { time: 480, midi: 62 }]);
+
+   assert.deepStrictEqual(statuses(result), ["hit", "hit"]);
+   assert.deepStrictEqual(result.notes.map(note => note.timing), ["onTime", "onTime"]);
+   assert.strictEqual(result.accuracy, 1);
+});
+
+test("una nota esperada no le quita a la siguiente la nota tocada que le corresponde", () => {
+   /*
+      La primera nota se tocó muy temprano y la segunda a tiempo. La segunda nota tocada está más cerca de la primera esperada que la primera tocada, pero le corresponde a la segunda esperada, que no tiene otra.
+   */
+   const expected = [{ index: 0, time: 200, midi: 60 }, { index: 1, time: 350, midi: 60 }];
+   const played = [{ time: 50, midi: 60 }, { time: 300, midi: 60 }];
+   const result = new PerformanceScorer().score(expected, played);
+
+   assert.deepStrictEqual(statuses(result), ["hit", "hit"]);
+   assert.strictEqual(result.notes[0].played, played[0]);
+   assert.strictEqual(result.notes[1].played, played[1]);
+   assert.deepStrictEqual(result.notes.map(note => note.timing), ["early", "onTime"]);
+   assert.strictEqual(result.counts.extra, 0);
+});
+
+test("una nota tocada temprano se asigna a la nota esperada más cercana", () => {
+   const expected = [{ index: 0, time: 0, midi: 60 }, { index: 1, time: 150, midi: 60 }];
+   const played = [{ time: 140, midi: 60 }];
+   const result = new PerformanceScorer().score(expected, played);
+
+   assert.deepStrictEqual(statuses(result), ["miss", "hit"]);
+   assert.strictEqual(result.notes[1].offset, -10);
+});
+
+test("las alturas equivocadas se emparejan después de las correctas", () => {
+   /*
+      La nota tocada más cercana a la primera esperada tiene otra altura, pero la de la misma altura también está dentro de la ventana.
+   */
+   const expected = [{ index: 0, time: 0, midi: 60 }, { index: 1, time: 100, midi: 67 }];
+   const played = [{ time: 5, midi: 65 }, { time: 90, midi: 60 }];
+   const result = new PerformanceScorer().score(expected, played);
+
+   assert.deepStrictEqual(statuses(result), ["hit", "wrong"]);
+   assert.strictEqual(result.notes[0].played, played[1]);
+   assert.strictEqual(result.notes[1].played, played[0]);
+});
+
+test("las notas fuera de la ventana son sobrantes", () => {
+   const expected = [{ index: 0, time: 0, midi: 60 }];
+   const played = [{ time: 300, note: 0, octave: 3 }];
+   const result = new PerformanceScorer({ window: 200 }).score(expected, played);
+
+   assert.deepStrictEqual(statuses(result), ["miss"]);
+   assert.deepStrictEqual(result.extra, played);
+   assert.strictEqual(result.accuracy, 0);
+});
+
+test("rechaza notas tocadas sin tiempo", () => {
+   assert.throws(() => new PerformanceScorer().score([], [{ midi: 60 }]));
+});
+
+var failed = 0;
+for(var i = 0; i < tests.length; ++i)
+{
+   try
+   {
+      tests[i].run();
+      console.log(`ok - ${tests[i].name}`);
+   }
+   catch(e)
+   {
+      failed += 1;
+      console.log(`FALLA - ${tests[i].name}`);
+      console.log(e);
+   }
+}
+
+console.log(`${tests.length - failed} de ${tests.length} pruebas correctas`);
+process.exitCode = failed > 0 ? 1 : 0;